@@ -0,0 +1,90 @@
+// Server-side tools the assistant can call while answering a chat message.
+// Each tool declares a JSON schema for its arguments and a handler; handlers return a plain
+// object that is sent back to the model as the tool result, or throw to report an error.
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Enough of JSON Schema for flat tool arguments: required, type and enum per property
+function validateArguments(schema, args) {
+    const errors = [];
+    const properties = schema?.properties || {};
+
+    for (const name of schema?.required || []) {
+        if (args[name] === undefined || args[name] === null || args[name] === '') {
+            errors.push(`missing required argument "${name}"`);
+        }
+    }
+
+    for (const [name, value] of Object.entries(args)) {
+        const property = properties[name];
+        if (!property || value === undefined || value === null) continue;
+
+        const check = TYPE_CHECKS[property.type];
+        if (check && !check(value)) {
+            errors.push(`"${name}" must be of type ${property.type}`);
+        } else if (property.enum && !property.enum.includes(value)) {
+            errors.push(`"${name}" must be one of ${property.enum.join(', ')}`);
+        }
+    }
+
+    return errors;
+}
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    register(name, { description, parameters = { type: 'object', properties: {} }, handler }) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Assistant tool "${name}" needs a handler`);
+        }
+        if (this.tools.has(name)) {
+            console.warn(`Replacing assistant tool: ${name}`);
+        }
+
+        this.tools.set(name, { name, description, parameters, handler });
+        return this;
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    describe() {
+        return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    // The `tools` array of an OpenAI-style chat completion request
+    toOpenAITools() {
+        return this.describe().map(tool => ({ type: 'function', function: tool }));
+    }
+
+    async call(name, args = {}, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+            throw new Error(`Arguments for ${name} must be a JSON object`);
+        }
+
+        const errors = validateArguments(tool.parameters, args);
+        if (errors.length > 0) {
+            throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+        }
+
+        return tool.handler(args, context);
+    }
+}
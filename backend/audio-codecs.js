@@ -0,0 +1,41 @@
+// Decoders for the encodings a client may negotiate for audio-chunk.
+// Everything is decoded to 16-bit mono PCM before it reaches the VAD and STT.
+
+// opusscript is a WebAssembly build of libopus; without it only PCM is offered
+const OpusScript = await import('opusscript').then(module => module.default).catch(() => null);
+
+export const SUPPORTED_ENCODINGS = OpusScript ? ['opus', 'pcm_s16le'] : ['pcm_s16le'];
+
+class PcmDecoder {
+    decode(chunk) {
+        return chunk;
+    }
+
+    destroy() {}
+}
+
+// Each audio-chunk carries one raw Opus packet (no Ogg/WebM container)
+class OpusDecoder {
+    constructor(sampleRate, channels) {
+        this.decoder = new OpusScript(sampleRate, channels, OpusScript.Application.VOIP);
+    }
+
+    decode(packet) {
+        return Buffer.from(this.decoder.decode(packet));
+    }
+
+    destroy() {
+        this.decoder.delete();
+    }
+}
+
+export function createAudioDecoder({ encoding, sampleRate, channels }) {
+    switch (encoding) {
+        case 'opus':
+            return new OpusDecoder(sampleRate, channels);
+        case 'pcm_s16le':
+            return new PcmDecoder();
+        default:
+            throw new Error(`No decoder for audio encoding: ${encoding}`);
+    }
+}
@@ -0,0 +1,165 @@
+// Audio helpers shared by the voice pipelines
+
+export const PCM_SAMPLE_RATE = 16000;
+
+// Wrap raw 16-bit little-endian PCM in a RIFF/WAVE header
+export function pcmToWav(pcmBuffer, sampleRate = PCM_SAMPLE_RATE, channels = 1) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+}
+
+// Socket.IO delivers binary payloads as Buffer, ArrayBuffer or typed arrays; anything else -> null
+export function toBuffer(chunk) {
+    if (Buffer.isBuffer(chunk)) return chunk;
+    if (chunk instanceof ArrayBuffer) return Buffer.from(chunk);
+    if (ArrayBuffer.isView(chunk)) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return null;
+}
+
+// Timestamp-based names collide when several clips are synthesized in the same millisecond
+export function uniqueAudioFileName(extension = 'mp3') {
+    return `${Date.now()}_${Math.random().toString(36).substring(2, 8)}.${extension}`;
+}
+
+export const DEFAULT_AUDIO_FORMAT = {
+    encoding: 'pcm_s16le',
+    sampleRate: PCM_SAMPLE_RATE,
+    channels: 1,
+    frameMs: 20
+};
+
+// Validate the audio format a client declares in its start-voice-session handshake.
+// Clients may offer `encodings` in preference order; the first one we can decode wins,
+// and raw PCM is always accepted as the fallback.
+export function resolveAudioFormat(declared, supportedEncodings = ['pcm_s16le']) {
+    const { encodings, ...rest } = declared || {};
+    const format = { ...DEFAULT_AUDIO_FORMAT, ...rest };
+
+    if (Array.isArray(encodings)) {
+        format.encoding = encodings.find(encoding => supportedEncodings.includes(encoding)) || 'pcm_s16le';
+    }
+
+    if (format.encoding !== 'pcm_s16le' && !supportedEncodings.includes(format.encoding)) {
+        throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+    }
+    if (format.channels !== 1) {
+        throw new Error('Only mono audio is supported');
+    }
+    if (![8000, 16000, 24000, 48000].includes(format.sampleRate)) {
+        throw new Error(`Unsupported sample rate: ${format.sampleRate}`);
+    }
+
+    return format;
+}
+
+// G.711 μ-law, as used by telephony media streams (8 kHz, one byte per sample)
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+export function muLawDecode(muLawBuffer) {
+    const pcm = Buffer.alloc(muLawBuffer.length * 2);
+
+    for (let i = 0; i < muLawBuffer.length; i++) {
+        const value = ~muLawBuffer[i] & 0xFF;
+        const exponent = (value >> 4) & 0x07;
+        const mantissa = value & 0x0F;
+        const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+        pcm.writeInt16LE(value & 0x80 ? -magnitude : magnitude, i * 2);
+    }
+
+    return pcm;
+}
+
+export function muLawEncode(pcmBuffer) {
+    const samples = Math.floor(pcmBuffer.length / 2);
+    const muLaw = Buffer.alloc(samples);
+
+    for (let i = 0; i < samples; i++) {
+        let sample = pcmBuffer.readInt16LE(i * 2);
+        const sign = sample < 0 ? 0x80 : 0;
+        sample = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+        let exponent = 7;
+        for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+            exponent--;
+        }
+
+        const mantissa = (sample >> (exponent + 3)) & 0x0F;
+        muLaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xFF;
+    }
+
+    return muLaw;
+}
+
+// Resample 16-bit mono PCM: box-filter averaging when downsampling, linear interpolation when upsampling
+export function resamplePcm(pcmBuffer, fromRate, toRate) {
+    if (fromRate === toRate) return pcmBuffer;
+
+    const inputLength = Math.floor(pcmBuffer.length / 2);
+    const ratio = fromRate / toRate;
+    const outputLength = Math.floor(inputLength / ratio);
+    const output = Buffer.alloc(outputLength * 2);
+    const sampleAt = (index) => pcmBuffer.readInt16LE(Math.min(index, inputLength - 1) * 2);
+
+    for (let i = 0; i < outputLength; i++) {
+        const position = i * ratio;
+        let value;
+
+        if (ratio > 1) {
+            const start = Math.floor(position);
+            const end = Math.min(inputLength, Math.floor(position + ratio));
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += sampleAt(j);
+            }
+            value = sum / Math.max(1, end - start);
+        } else {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            value = sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction;
+        }
+
+        output.writeInt16LE(Math.round(value), i * 2);
+    }
+
+    return output;
+}
+
+export const AUDIO_CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav'
+};
+
+// Join base64 audio chunks in the order received and package them for playback according to an
+// ElevenLabs output format name: pcm_<rate> and ulaw_8000 become WAV, mp3_* is left as MP3
+export function encodeAudioChunks(base64Chunks, outputFormat = 'pcm_16000') {
+    const raw = Buffer.concat(base64Chunks.map(chunk => Buffer.from(chunk, 'base64')));
+    const [codec, rate] = outputFormat.split('_');
+
+    switch (codec) {
+        case 'pcm':
+            return { data: pcmToWav(raw, parseInt(rate)), extension: 'wav' };
+        case 'ulaw':
+            return { data: pcmToWav(muLawDecode(raw), parseInt(rate)), extension: 'wav' };
+        case 'mp3':
+            return { data: raw, extension: 'mp3' };
+        default:
+            throw new Error(`Unsupported agent audio format: ${outputFormat}`);
+    }
+}
@@ -0,0 +1,239 @@
+import fs from 'fs';
+import { join } from 'path';
+
+// Every unit as a factor of its category's base unit (metre, kilogram, litre, metre per second, second)
+const UNIT_FACTORS = {
+    length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852 },
+    mass: { kg: 1, g: 0.001, mg: 0.000001, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+    volume: { l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625, tbsp: 0.01478676478125, tsp: 0.00492892159375 },
+    speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 1852 / 3600, 'ft/s': 0.3048 },
+    time: { s: 1, min: 60, h: 3600, day: 86400, week: 604800 }
+};
+
+const TEMPERATURE_UNITS = {
+    c: { toKelvin: (value) => value + 273.15, fromKelvin: (value) => value - 273.15 },
+    f: { toKelvin: (value) => (value - 32) * 5 / 9 + 273.15, fromKelvin: (value) => (value - 273.15) * 9 / 5 + 32 },
+    k: { toKelvin: (value) => value, fromKelvin: (value) => value }
+};
+
+const UNIT_ALIASES = {
+    meter: 'm', metre: 'm', kilometer: 'km', kilometre: 'km', centimeter: 'cm', centimetre: 'cm',
+    millimeter: 'mm', millimetre: 'mm', mile: 'mi', yard: 'yd', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in',
+    'nautical mile': 'nmi', gram: 'g', kilogram: 'kg', kilo: 'kg', milligram: 'mg', tonne: 't', ton: 't',
+    pound: 'lb', lbs: 'lb', ounce: 'oz', stone: 'st', liter: 'l', litre: 'l', milliliter: 'ml', millilitre: 'ml',
+    gallon: 'gal', quart: 'qt', pint: 'pt', 'fl oz': 'floz', 'fluid ounce': 'floz', tablespoon: 'tbsp',
+    teaspoon: 'tsp', kph: 'km/h', kmh: 'km/h', knot: 'kn', second: 's', sec: 's', minute: 'min',
+    hour: 'h', hr: 'h', days: 'day', weeks: 'week', celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+function normalizeUnit(unit) {
+    const name = unit.trim().toLowerCase().replace(/\.$/, '');
+    return UNIT_ALIASES[name] || UNIT_ALIASES[name.replace(/s$/, '')] || UNIT_ALIASES[name.replace(/es$/, '')] || name;
+}
+
+function unitCategory(unit) {
+    if (Object.hasOwn(TEMPERATURE_UNITS, unit)) return 'temperature';
+    return Object.keys(UNIT_FACTORS).find(category => Object.hasOwn(UNIT_FACTORS[category], unit)) || null;
+}
+
+export function convertUnits(value, from, to) {
+    const source = normalizeUnit(from);
+    const target = normalizeUnit(to);
+    const category = unitCategory(source);
+
+    if (!category) throw new Error(`Unknown unit: ${from}`);
+    if (unitCategory(target) !== category) {
+        throw new Error(`Cannot convert ${from} to ${to}`);
+    }
+
+    if (category === 'temperature') {
+        return TEMPERATURE_UNITS[target].fromKelvin(TEMPERATURE_UNITS[source].toKelvin(value));
+    }
+    return value * UNIT_FACTORS[category][source] / UNIT_FACTORS[category][target];
+}
+
+const CALC_FUNCTIONS = {
+    sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, log: Math.log10, ln: Math.log, exp: Math.exp
+};
+const CALC_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Arithmetic without eval: + - * / % ^, parentheses, unary signs and the functions above
+export function evaluateExpression(expression) {
+    const tokens = expression.toLowerCase().replace(/×/g, '*').replace(/÷/g, '/')
+        .match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|\*\*|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+        if (token === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (/^\.?\d/.test(token)) return parseFloat(token);
+        if (Object.hasOwn(CALC_CONSTANTS, token)) return CALC_CONSTANTS[token];
+        if (Object.hasOwn(CALC_FUNCTIONS, token)) {
+            expect('(');
+            const value = parseSum();
+            expect(')');
+            return CALC_FUNCTIONS[token](value);
+        }
+        throw new Error(`Unexpected "${token}"`);
+    };
+
+    // Unary signs bind looser than ^, so -2^2 is -4; ^ is right-associative
+    const parseFactor = () => {
+        if (peek() === '-' || peek() === '+') {
+            return next() === '-' ? -parseFactor() : parseFactor();
+        }
+        const base = parsePrimary();
+        if (peek() === '^' || peek() === '**') {
+            next();
+            return base ** parseFactor();
+        }
+        return base;
+    };
+
+    const parseProduct = () => {
+        let value = parseFactor();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const right = parseFactor();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseProduct() : value - parseProduct();
+        }
+        return value;
+    };
+
+    const result = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}"`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('The result is not a finite number');
+    }
+    return result;
+}
+
+// Paragraphs of the .md/.txt files in notesDir that share the most words with the query
+async function searchNotes(notesDir, query, limit) {
+    let files;
+    try {
+        files = (await fs.promises.readdir(notesDir)).filter(file => /\.(md|txt)$/i.test(file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const terms = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 1);
+    const matches = [];
+
+    for (const file of files) {
+        const text = await fs.promises.readFile(join(notesDir, file), 'utf8');
+        for (const paragraph of text.split(/\n\s*\n/)) {
+            const lower = paragraph.toLowerCase();
+            const score = terms.filter(term => lower.includes(term)).length;
+            if (score > 0) {
+                matches.push({ file, score, excerpt: paragraph.trim().slice(0, 500) });
+            }
+        }
+    }
+
+    return matches
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ file, excerpt }) => ({ file, excerpt }));
+}
+
+const round = (value) => Number(value.toPrecision(10));
+
+export function registerBuiltinTools(registry, { notesDir }) {
+    registry.register('get_current_time', {
+        description: 'Get the current date and time, optionally in a given IANA time zone such as Europe/Berlin.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA time zone name; the server time zone if omitted' }
+            }
+        },
+        handler: ({ timezone }) => {
+            const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const now = new Date();
+
+            let local;
+            try {
+                local = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+            } catch {
+                throw new Error(`Unknown time zone: ${timezone}`);
+            }
+            return { iso: now.toISOString(), timezone: timeZone, local };
+        }
+    });
+
+    registry.register('convert_units', {
+        description: 'Convert a value between units of length, mass, volume, speed, time or temperature (e.g. km to mi, lb to kg, F to C).',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number', description: 'The amount to convert' },
+                from: { type: 'string', description: 'Unit of the value, e.g. "km", "pounds", "F"' },
+                to: { type: 'string', description: 'Unit to convert to' }
+            },
+            required: ['value', 'from', 'to']
+        },
+        handler: ({ value, from, to }) => {
+            const result = round(convertUnits(value, from, to));
+            return { value, from, to, result, text: `${value} ${from} = ${result} ${to}` };
+        }
+    });
+
+    registry.register('calculate', {
+        description: 'Evaluate an arithmetic expression with + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, pi and e.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "(12.5 * 4) / 3"' }
+            },
+            required: ['expression']
+        },
+        handler: ({ expression }) => {
+            if (expression.length > 200) {
+                throw new Error('Expression is too long');
+            }
+            return { expression, result: round(evaluateExpression(expression)) };
+        }
+    });
+
+    registry.register('search_notes', {
+        description: "Search the user's local notes and return the best matching passages.",
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Words to look for' },
+                limit: { type: 'integer', description: 'Maximum number of passages (default 3)' }
+            },
+            required: ['query']
+        },
+        handler: async ({ query, limit = 3 }) => {
+            const results = await searchNotes(notesDir, query, Math.min(Math.max(limit, 1), 10));
+            return results.length > 0 ? { query, results } : { query, results, message: 'No matching notes' };
+        }
+    });
+
+    return registry;
+}
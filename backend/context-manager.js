@@ -0,0 +1,166 @@
+import { tokenCounter } from './token-counter.js';
+
+// Builds the message list for every LLM call from a session's history.
+// Recent turns go in verbatim, newest first, until the model's token budget is used up;
+// older turns are folded in the background into a running summary that is stored with the
+// session and sent as part of the system prompt, so long role-plays keep their thread.
+
+const DEFAULT_MODEL = 'meta-llama/Meta-Llama-3.1-8B-Instruct';
+
+// Context windows per family; tokens are counted by token-counter.js
+const MODEL_PROFILES = [
+    { match: /llama-?3/i, contextWindow: 128000 },
+    { match: /llama/i, contextWindow: 4096 },
+    { match: /mi[sx]tral/i, contextWindow: 32000 },
+    { match: /gpt|openai/i, contextWindow: 128000 },
+    { match: /.*/, contextWindow: 8192 }
+];
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_PROMPT = 'You maintain a running summary of a conversation between a user and an assistant. ' +
+    'Merge the new turns into the existing summary. Keep names, facts, decisions, open questions and the role-play ' +
+    'situation; drop small talk. Write at most 120 words in the third person and reply with the summary only.';
+
+// Tool calls stored with a reply go in front of it, so later turns and the summary keep their results
+function turnContent({ content, toolCalls }) {
+    if (!toolCalls?.length) return content;
+
+    const calls = toolCalls.map(({ name, arguments: args, result, error }) =>
+        `(${name} ${JSON.stringify(args)} returned ${JSON.stringify(error ? { error } : result)})`);
+    return `${calls.join('\n')}\n${content}`;
+}
+
+function toTurns(history) {
+    return history.map(turn => ({ role: turn.role, content: turnContent(turn) }));
+}
+
+export function profileFor(model) {
+    return MODEL_PROFILES.find(profile => profile.match.test(model || DEFAULT_MODEL));
+}
+
+export class ContextManager {
+    constructor({ summarize, store, budgetTokens = 3000, responseTokens = 150, keepRecentMessages = 6, minFoldMessages = 6, maxStoredMessages = 200, tokenCounter: counterFor = tokenCounter }) {
+        this.summarize = summarize;   // async (messages) -> text, any chat completion
+        this.store = store;           // { get(sessionId), save(sessionId, { summary, coveredCount }) }
+        this.budgetTokens = budgetTokens;
+        this.responseTokens = responseTokens;
+        this.keepRecentMessages = keepRecentMessages;
+        this.minFoldMessages = minFoldMessages;
+        this.maxStoredMessages = maxStoredMessages;
+        this.counterFor = counterFor;   // async (model) -> (text) => tokens
+
+        this.folding = new Set();
+        this.trimmed = new Map();    // sessionId -> messages dropped from the front so far
+    }
+
+    budgetFor(model, responseTokens = this.responseTokens) {
+        return Math.min(this.budgetTokens, profileFor(model).contextWindow - responseTokens);
+    }
+
+    getSummary(sessionId) {
+        return (sessionId && this.store.get(sessionId)) || { summary: '', coveredCount: 0 };
+    }
+
+    // Add messages to a stored history. Past maxStoredMessages the oldest are dropped once the
+    // summary covers them; until it does they are folded first and the history stays longer.
+    append(sessionId, history, ...messages) {
+        history.push(...messages);
+
+        const excess = history.length - this.maxStoredMessages;
+        if (excess <= 0) return history;
+
+        if (!sessionId) {
+            history.splice(0, excess);
+            return history;
+        }
+
+        const state = this.getSummary(sessionId);
+        const covered = state.coveredCount <= history.length ? state.coveredCount : 0;
+        // Summaries that keep failing must not let the history grow without bound
+        const dropping = history.length > 2 * this.maxStoredMessages ? excess : Math.min(excess, covered);
+
+        if (dropping > 0) {
+            if (dropping > covered) {
+                console.warn(`Context for ${sessionId}: dropped ${dropping - covered} messages the summary does not cover`);
+            }
+            history.splice(0, dropping);
+            this.trimmed.set(sessionId, (this.trimmed.get(sessionId) || 0) + dropping);
+            this.store.save(sessionId, { ...state, coveredCount: Math.max(0, covered - dropping) });
+        }
+        if (dropping < excess) {
+            this.fold(sessionId, toTurns(history));
+        }
+
+        return history;
+    }
+
+    async build({ sessionId = null, model = DEFAULT_MODEL, systemPrompt, history = [], message, responseTokens }) {
+        const count = await this.counterFor(model || DEFAULT_MODEL);
+        const countMessage = (entry) => count(entry.content || '') + MESSAGE_OVERHEAD_TOKENS;
+        const turns = toTurns(history);
+        const state = this.getSummary(sessionId);
+        const coveredCount = state.coveredCount <= turns.length ? state.coveredCount : 0;
+
+        const system = {
+            role: 'system',
+            content: state.summary && coveredCount > 0
+                ? `${systemPrompt}\n\nSummary of the conversation so far:\n${state.summary}`
+                : systemPrompt
+        };
+        const user = { role: 'user', content: message };
+
+        let remaining = this.budgetFor(model, responseTokens) - countMessage(system) - countMessage(user);
+        const recent = [];
+        for (let index = turns.length - 1; index >= coveredCount; index--) {
+            const cost = countMessage(turns[index]);
+            if (cost > remaining) break;
+            recent.unshift(turns[index]);
+            remaining -= cost;
+        }
+
+        // Fold once enough older turns pile up, or straight away if some no longer fit
+        const unsummarized = turns.length - coveredCount;
+        const droppedForBudget = unsummarized - recent.length;
+        if (sessionId && (droppedForBudget > 0 || unsummarized - this.keepRecentMessages >= this.minFoldMessages)) {
+            this.fold(sessionId, turns);
+        }
+
+        return [system, ...recent, user];
+    }
+
+    fold(sessionId, turns) {
+        if (this.folding.has(sessionId)) return;
+
+        const state = this.getSummary(sessionId);
+        const start = state.coveredCount <= turns.length ? state.coveredCount : 0;
+        const end = turns.length - this.keepRecentMessages;
+        if (end <= start) return;
+
+        const trimmedAtStart = this.trimmed.get(sessionId) || 0;
+        const transcript = turns.slice(start, end)
+            .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`)
+            .join('\n');
+
+        this.folding.add(sessionId);
+        this.summarize([
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: `Existing summary:\n${state.summary || '(none)'}\n\nNew turns:\n${transcript}` }
+        ])
+            .then((summary) => {
+                if (!summary?.trim()) return;
+                // Messages trimmed from the front while we were summarizing shift the indices
+                const shift = (this.trimmed.get(sessionId) || 0) - trimmedAtStart;
+                this.store.save(sessionId, { summary: summary.trim(), coveredCount: Math.max(0, end - shift) });
+                console.log(`Context summary updated for ${sessionId}: ${end - start} messages folded`);
+            })
+            .catch((error) => {
+                console.error('Failed to update conversation summary:', error.response?.data || error.message);
+            })
+            .finally(() => this.folding.delete(sessionId));
+    }
+
+    forget(sessionId) {
+        this.trimmed.delete(sessionId);
+    }
+}
@@ -0,0 +1,452 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+const CONVAI_URL = 'wss://api.elevenlabs.io/v1/convai/conversation';
+
+// Server -> client ConvAI events reshaped for browsers. Audio stays server-side.
+const BROWSER_EVENTS = {
+    conversation_initiation_metadata: (event) => ({
+        type: 'conversation_started',
+        agentConversationId: event.conversation_initiation_metadata_event?.conversation_id,
+        audioFormat: event.conversation_initiation_metadata_event?.agent_output_audio_format
+    }),
+    user_transcript: (event) => ({
+        type: 'user_transcript',
+        text: event.user_transcription_event?.user_transcript
+    }),
+    agent_response: (event) => ({
+        type: 'agent_response',
+        text: event.agent_response_event?.agent_response
+    }),
+    agent_response_correction: (event) => ({
+        type: 'agent_response_correction',
+        original: event.agent_response_correction_event?.original_agent_response,
+        corrected: event.agent_response_correction_event?.corrected_agent_response
+    }),
+    internal_tentative_agent_response: (event) => ({
+        type: 'tentative_agent_response',
+        text: event.tentative_agent_response_internal_event?.tentative_agent_response
+    }),
+    interruption: (event) => ({
+        type: 'interruption',
+        eventId: event.interruption_event?.event_id
+    }),
+    vad_score: (event) => ({
+        type: 'vad_score',
+        score: event.vad_score_event?.vad_score
+    }),
+    client_tool_call: (event) => ({
+        type: 'client_tool_call',
+        toolName: event.client_tool_call?.tool_name,
+        toolCallId: event.client_tool_call?.tool_call_id,
+        parameters: event.client_tool_call?.parameters
+    })
+};
+
+export function toBrowserEvent(event) {
+    return BROWSER_EVENTS[event.type]?.(event) ?? null;
+}
+
+export class ConvAIError extends Error {
+    constructor(message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'ConvAIError';
+        this.retryable = retryable;
+    }
+}
+
+// One ElevenLabs ConvAI WebSocket. Messages are answered strictly one at a time, so each
+// agent_response belongs to the oldest user_message still waiting. The reply's audio keeps
+// streaming after its agent_response, so a message is only answered once that audio goes quiet
+// for audioIdleMs, or the next turn begins.
+class ConvAIConnection {
+    constructor({ url, apiKey, agentId, responseTimeoutMs, audioIdleMs, greetingWindowMs, keepaliveMs, onEvent, onToolCall, onClose }) {
+        this.url = url;
+        this.apiKey = apiKey;
+        this.agentId = agentId;
+        this.responseTimeoutMs = responseTimeoutMs;
+        this.audioIdleMs = audioIdleMs;
+        this.greetingWindowMs = greetingWindowMs;
+        this.keepaliveMs = keepaliveMs;
+        this.onEvent = onEvent;
+        this.onToolCall = onToolCall;
+        this.onClose = onClose;
+
+        this.ws = null;
+        this.conversationId = null;
+        this.pending = null;
+        this.queue = Promise.resolve();
+        this.closed = false;
+        this.lastUsed = Date.now();
+    }
+
+    // Resolves once the conversation is initialized and the agent's own greeting (if any) is out of the way
+    open() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(`${this.url}?agent_id=${this.agentId}`, {
+                headers: { 'xi-api-key': this.apiKey }
+            });
+
+            const connectTimeout = setTimeout(() => {
+                reject(new ConvAIError('Timed out connecting to ElevenLabs agent', { retryable: true }));
+                this.close();
+            }, this.responseTimeoutMs);
+
+            this.ws.on('message', (data) => {
+                let event;
+                try {
+                    event = JSON.parse(data.toString());
+                } catch (error) {
+                    console.error('Error parsing agent event:', error.message);
+                    return;
+                }
+
+                this.onEvent(event);
+
+                if (event.type === 'conversation_initiation_metadata') {
+                    clearTimeout(connectTimeout);
+                    this.conversationId = event.conversation_initiation_metadata_event?.conversation_id;
+                    this.audioFormat = event.conversation_initiation_metadata_event?.agent_output_audio_format;
+                    console.log('ConvAI conversation initialized:', this.conversationId);
+
+                    // The agent's configured first message arrives unprompted; don't mistake it for an answer
+                    this.greetingTimer = setTimeout(() => resolve(this), this.greetingWindowMs);
+                    this.resolveGreeting = () => {
+                        clearTimeout(this.greetingTimer);
+                        resolve(this);
+                    };
+                    return;
+                }
+
+                this.handleEvent(event);
+            });
+
+            this.ws.on('error', (error) => {
+                console.error('ConvAI WebSocket error:', error.message);
+            });
+
+            this.ws.on('close', (code) => {
+                clearTimeout(connectTimeout);
+                clearTimeout(this.greetingTimer);
+                clearInterval(this.keepalive);
+                reject(new ConvAIError(`ElevenLabs agent connection closed (${code})`, { retryable: true }));
+                this.failPending(new ConvAIError(`ElevenLabs agent connection closed (${code})`, { retryable: true }));
+                this.closed = true;
+                this.onClose(this);
+            });
+
+            // Transport-level keepalive for proxies and load balancers between us and ElevenLabs
+            this.keepalive = setInterval(() => {
+                if (this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.ping();
+                }
+            }, this.keepaliveMs);
+        });
+    }
+
+    handleEvent(event) {
+        switch (event.type) {
+            case 'ping':
+                // Application-level keepalive; the agent drops us if pongs stop
+                this.send({ type: 'pong', event_id: event.ping_event?.event_id });
+                break;
+            case 'audio':
+                if (this.pending && event.audio_event?.audio_base64) {
+                    this.pending.audio.push(event.audio_event.audio_base64);
+                    if (this.pending.text !== null) {
+                        this.waitForAudio();
+                    }
+                }
+                break;
+            case 'agent_response': {
+                const text = event.agent_response_event?.agent_response;
+                // A second response means the answered one has finished
+                if (this.pending && this.pending.text !== null) {
+                    this.completePending();
+                }
+                if (!this.pending) {
+                    this.resolveGreeting?.();
+                    this.resolveGreeting = null;
+                    console.log('Agent spoke unprompted:', text);
+                    return;
+                }
+
+                this.pending.text = text || '';
+                clearTimeout(this.pending.timer);
+                // Audio that never goes quiet still can't hold the request forever
+                this.pending.timer = setTimeout(() => this.completePending(), this.responseTimeoutMs);
+                this.waitForAudio();
+                break;
+            }
+            case 'interruption':
+                // Audio generated before the cut-off was never meant to be heard
+                if (this.pending) {
+                    this.pending.audio = [];
+                }
+                break;
+            case 'client_tool_call':
+                this.handleToolCall(event.client_tool_call || {});
+                break;
+            case 'user_transcript':
+                // The next turn has started, so the answered one is complete
+                if (this.pending && this.pending.text !== null) {
+                    this.completePending();
+                }
+                break;
+            case 'agent_response_correction':
+            case 'internal_tentative_agent_response':
+            case 'vad_score':
+                // Informational; forwarded to browsers through onEvent
+                break;
+            default:
+                console.log('Unhandled ConvAI event:', event.type);
+                break;
+        }
+    }
+
+    // The agent waits on a client_tool_result, so every call gets one, even if it is an error
+    async handleToolCall({ tool_name: toolName, tool_call_id: toolCallId, parameters }) {
+        let result;
+        let isError = false;
+        try {
+            result = await this.onToolCall(toolName, parameters || {});
+        } catch (error) {
+            result = error.message;
+            isError = true;
+        }
+
+        this.send({
+            type: 'client_tool_result',
+            tool_call_id: toolCallId,
+            result: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+            is_error: isError
+        });
+    }
+
+    send(message) {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Non-interrupting background context, used to reseed a reconnected conversation
+    sendContext(text) {
+        this.send({ type: 'contextual_update', text });
+    }
+
+    ask(text) {
+        const result = this.queue.then(() => new Promise((resolve, reject) => {
+            if (this.closed) {
+                reject(new ConvAIError('ElevenLabs agent connection closed', { retryable: true }));
+                return;
+            }
+
+            this.lastUsed = Date.now();
+            this.pending = {
+                resolve,
+                reject,
+                text: null,
+                audio: [],
+                audioTimer: null,
+                timer: setTimeout(() => {
+                    // A late answer would be taken for the next message's, so start over
+                    this.failPending(new ConvAIError('ElevenLabs agent timeout'));
+                    this.close();
+                }, this.responseTimeoutMs)
+            };
+            this.send({ type: 'user_message', text });
+        }));
+
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    waitForAudio() {
+        clearTimeout(this.pending.audioTimer);
+        this.pending.audioTimer = setTimeout(() => this.completePending(), this.audioIdleMs);
+    }
+
+    completePending() {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        clearTimeout(pending.timer);
+        clearTimeout(pending.audioTimer);
+        this.lastUsed = Date.now();
+        pending.resolve({
+            text: pending.text || '',
+            audio: pending.audio,
+            audioFormat: this.audioFormat,
+            conversationId: this.conversationId
+        });
+    }
+
+    failPending(error) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        clearTimeout(pending.timer);
+        clearTimeout(pending.audioTimer);
+        pending.reject(error);
+    }
+
+    close() {
+        this.closed = true;
+        clearInterval(this.keepalive);
+        if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+            this.ws.close(1000);
+        }
+    }
+}
+
+// Keeps one ConvAI conversation per app session so the agent has native context across
+// messages. Dropped sockets are reopened on the next message and reseeded with the recent
+// transcript; idle sockets are closed. Emits ('agent-event', sessionKey, browserEvent) for
+// everything worth showing in a UI.
+export class ConvAIConnectionManager extends EventEmitter {
+    constructor({
+        url = CONVAI_URL,
+        apiKey,
+        agentId,
+        responseTimeoutMs = 15000,
+        audioIdleMs = 500,
+        greetingWindowMs = 1000,
+        keepaliveMs = 20000,
+        idleTimeoutMs = 5 * 60 * 1000,
+        maxAttempts = 2,
+        historyLength = 10
+    }) {
+        super();
+        this.url = url;
+        this.apiKey = apiKey;
+        this.agentId = agentId;
+        this.responseTimeoutMs = responseTimeoutMs;
+        this.audioIdleMs = audioIdleMs;
+        this.greetingWindowMs = greetingWindowMs;
+        this.keepaliveMs = keepaliveMs;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.maxAttempts = maxAttempts;
+        this.historyLength = historyLength;
+
+        this.connections = new Map(); // session key -> Promise<ConvAIConnection>
+        this.transcripts = new Map(); // session key -> recent { role, content }
+        this.corrections = new Map(); // session key -> { original, corrected } not yet applied
+
+        this.reaper = setInterval(() => this.closeIdle(), Math.min(this.idleTimeoutMs, 60000));
+        this.reaper.unref();
+    }
+
+    async getConnection(sessionKey) {
+        if (!this.connections.has(sessionKey)) {
+            const connection = new ConvAIConnection({
+                url: this.url,
+                apiKey: this.apiKey,
+                agentId: this.agentId,
+                responseTimeoutMs: this.responseTimeoutMs,
+                audioIdleMs: this.audioIdleMs,
+                greetingWindowMs: this.greetingWindowMs,
+                keepaliveMs: this.keepaliveMs,
+                onEvent: (event) => this.handleEvent(sessionKey, event),
+                onToolCall: (toolName, parameters) => this.callTool(sessionKey, toolName, parameters),
+                onClose: () => this.forget(sessionKey, opening)
+            });
+
+            const opening = connection.open().then((opened) => {
+                const history = this.transcripts.get(sessionKey);
+                if (history?.length) {
+                    console.log(`Reconnected ConvAI session ${sessionKey}, restoring context`);
+                    opened.sendContext('Conversation so far:\n' + history.map(msg => `${msg.role}: ${msg.content}`).join('\n'));
+                }
+                return opened;
+            });
+            opening.catch(() => this.forget(sessionKey, opening));
+            this.connections.set(sessionKey, opening);
+        }
+
+        return this.connections.get(sessionKey);
+    }
+
+    handleEvent(sessionKey, event) {
+        if (event.type === 'agent_response_correction') {
+            const { original_agent_response: original, corrected_agent_response: corrected } = event.agent_response_correction_event || {};
+            const history = this.transcripts.get(sessionKey) || [];
+            const entry = history.findLast(msg => msg.role === 'assistant' && msg.content === original);
+            if (entry) {
+                entry.content = corrected;
+            } else if (corrected) {
+                // Usually arrives right behind the response it corrects, before we've recorded it
+                this.corrections.set(sessionKey, { original, corrected });
+            }
+        }
+
+        const browserEvent = toBrowserEvent(event);
+        if (browserEvent) {
+            this.emit('agent-event', sessionKey, browserEvent);
+        }
+    }
+
+    // No client tools are registered yet; the agent is told so instead of being left waiting
+    async callTool(sessionKey, toolName) {
+        throw new Error(`Client tool not available: ${toolName}`);
+    }
+
+    forget(sessionKey, opening) {
+        if (this.connections.get(sessionKey) === opening) {
+            this.connections.delete(sessionKey);
+        }
+    }
+
+    async sendUserMessage(sessionKey, text) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const connection = await this.getConnection(sessionKey);
+                const result = await connection.ask(text);
+                const correction = this.corrections.get(sessionKey);
+                if (correction?.original === result.text) {
+                    result.text = correction.corrected;
+                }
+                this.corrections.delete(sessionKey);
+                this.remember(sessionKey, text, result.text);
+                return result;
+            } catch (error) {
+                if (!error.retryable || attempt >= this.maxAttempts) throw error;
+                console.warn(`ConvAI attempt ${attempt} failed for ${sessionKey}, reconnecting:`, error.message);
+            }
+        }
+    }
+
+    remember(sessionKey, userText, agentText) {
+        const history = this.transcripts.get(sessionKey) || [];
+        history.push({ role: 'user', content: userText }, { role: 'assistant', content: agentText });
+        this.transcripts.set(sessionKey, history.slice(-this.historyLength));
+    }
+
+    async close(sessionKey) {
+        const opening = this.connections.get(sessionKey);
+        this.connections.delete(sessionKey);
+        this.transcripts.delete(sessionKey);
+        this.corrections.delete(sessionKey);
+        if (opening) {
+            opening.then(connection => connection.close(), () => {});
+        }
+    }
+
+    closeIdle() {
+        const cutoff = Date.now() - this.idleTimeoutMs;
+        for (const [sessionKey, opening] of this.connections) {
+            opening.then((connection) => {
+                if (!connection.pending && connection.lastUsed < cutoff) {
+                    console.log(`Closing idle ConvAI session ${sessionKey}`);
+                    this.close(sessionKey);
+                }
+            }, () => {});
+        }
+    }
+
+    closeAll() {
+        clearInterval(this.reaper);
+        for (const sessionKey of [...this.connections.keys()]) {
+            this.close(sessionKey);
+        }
+    }
+}
@@ -0,0 +1,109 @@
+import axios from 'axios';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const CONVERSATIONS_URL = 'https://api.elevenlabs.io/v1/convai/conversations';
+const FINAL_STATUSES = new Set(['done', 'failed']);
+const SIGNATURE_TOLERANCE_SECS = 30 * 60;
+
+// ElevenLabs calls its side of the conversation "agent"; locally it is the assistant
+const SPEAKERS = { user: 'user', agent: 'assistant' };
+
+function toSqliteTimestamp(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Copies finished ElevenLabs ConvAI conversations into the local sessions/turns tables.
+// Transcripts arrive either by pulling the conversation API once the browser reports the
+// session has ended, or through the post-call transcription webhook. Both paths end in
+// ingest(), which is idempotent, so receiving the same conversation twice is harmless.
+export class ConvAITranscriptSync {
+    constructor({ apiKey, webhookSecret, store, pollIntervalMs = 3000, maxPollAttempts = 10 }) {
+        this.apiKey = apiKey;
+        this.webhookSecret = webhookSecret;
+        this.store = store;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxPollAttempts = maxPollAttempts;
+    }
+
+    async fetchConversation(conversationId) {
+        const response = await axios.get(`${CONVERSATIONS_URL}/${encodeURIComponent(conversationId)}`, {
+            headers: { 'xi-api-key': this.apiKey }
+        });
+        return response.data;
+    }
+
+    // ElevenLabs finishes processing the transcript a few seconds after the call ends
+    async syncConversation(conversationId) {
+        for (let attempt = 1; ; attempt++) {
+            const conversation = await this.fetchConversation(conversationId);
+
+            if (FINAL_STATUSES.has(conversation.status) || attempt >= this.maxPollAttempts) {
+                return this.ingest(conversation);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+
+    ingest(conversation) {
+        const metadata = conversation.metadata || {};
+        const startedAtMs = (metadata.start_time_unix_secs || Math.floor(Date.now() / 1000)) * 1000;
+        const dynamicVariables = conversation.conversation_initiation_client_data?.dynamic_variables || {};
+
+        const turns = (conversation.transcript || [])
+            .filter(entry => SPEAKERS[entry.role] && entry.message?.trim())
+            .map(entry => ({
+                speaker: SPEAKERS[entry.role],
+                message: entry.message.trim(),
+                timestamp: toSqliteTimestamp(startedAtMs + (entry.time_in_call_secs || 0) * 1000)
+            }));
+
+        const record = {
+            sessionId: conversation.conversation_id,
+            agentId: conversation.agent_id,
+            scenario: dynamicVariables.scenario_id || null,
+            status: conversation.status,
+            startedAt: toSqliteTimestamp(startedAtMs),
+            durationSecs: metadata.call_duration_secs ?? null,
+            metadata: {
+                userName: dynamicVariables.user_name,
+                terminationReason: metadata.termination_reason,
+                callSuccessful: conversation.analysis?.call_successful,
+                summary: conversation.analysis?.transcript_summary
+            },
+            turns
+        };
+
+        this.store.save(record);
+        console.log(`Synced ConvAI conversation ${record.sessionId}: ${turns.length} turns (${record.status})`);
+
+        return {
+            sessionId: record.sessionId,
+            scenario: record.scenario,
+            status: record.status,
+            turnCount: turns.length
+        };
+    }
+
+    // ElevenLabs-Signature: t=<unix secs>,v0=<hex hmac-sha256 of "<t>.<raw body>">
+    verifyWebhook(rawBody, signatureHeader) {
+        if (!this.webhookSecret || !rawBody || !signatureHeader) return false;
+
+        const parts = Object.fromEntries(signatureHeader.split(',').map(part => part.split('=')));
+        const timestamp = Number(parts.t);
+        if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECS) {
+            return false;
+        }
+
+        const expected = createHmac('sha256', this.webhookSecret).update(`${parts.t}.${rawBody}`).digest('hex');
+        const received = Buffer.from(parts.v0 || '', 'utf8');
+        return received.length === expected.length && timingSafeEqual(received, Buffer.from(expected, 'utf8'));
+    }
+
+    handleWebhook(payload) {
+        if (payload?.type !== 'post_call_transcription' || !payload.data?.conversation_id) {
+            return null;
+        }
+        return this.ingest(payload.data);
+    }
+}
@@ -0,0 +1,137 @@
+// Local stand-in for Twilio: streams a WAV file (or a synthetic tone) to the telephony bridge
+// as 8 kHz μ-law media frames, echoes marks back as if the audio had played, and saves the
+// assistant's reply to audio/fake-call-response.wav.
+//
+//   node fake-media-stream.js [input.wav] [ws://localhost:5000/media-stream]
+//
+// The bridge only accepts clients that send TELEPHONY_STREAM_TOKEN, which is read from .env.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import WebSocket from 'ws';
+import dotenv from 'dotenv';
+import { muLawDecode, muLawEncode, pcmToWav, resamplePcm } from './audio-utils.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of μ-law
+const REPLY_WAIT_MS = 15000;
+
+function loadCallerAudio(filePath) {
+    if (!filePath) {
+        // Two seconds of a voiced-sounding tone is enough to trip the VAD
+        const pcm = Buffer.alloc(SAMPLE_RATE * 2 * 2);
+        for (let i = 0; i < SAMPLE_RATE * 2; i++) {
+            const t = i / SAMPLE_RATE;
+            pcm.writeInt16LE(Math.round(6000 * Math.sin(2 * Math.PI * 180 * t) + 3000 * Math.sin(2 * Math.PI * 720 * t)), i * 2);
+        }
+        return pcm;
+    }
+
+    // 16-bit mono PCM WAV; the sample rate comes from the header
+    const wav = fs.readFileSync(filePath);
+    const sampleRate = wav.readUInt32LE(24);
+    return resamplePcm(wav.subarray(44), sampleRate, SAMPLE_RATE);
+}
+
+class FakeMediaStream {
+    constructor(url, callerAudio) {
+        this.url = url;
+        this.callerAudio = callerAudio;
+        this.streamSid = `MZfake${Date.now()}`;
+        this.sequenceNumber = 0;
+        this.received = [];
+    }
+
+    run() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.url, {
+                headers: { Authorization: `Bearer ${process.env.TELEPHONY_STREAM_TOKEN || ''}` }
+            });
+            this.ws.on('open', () => this.startCall());
+            this.ws.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+            this.ws.on('error', reject);
+            this.ws.on('close', () => resolve(Buffer.concat(this.received)));
+        });
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify({ ...message, sequenceNumber: String(++this.sequenceNumber) }));
+    }
+
+    async startCall() {
+        console.log(`📞 Connected to ${this.url}`);
+        this.ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+        this.send({
+            event: 'start',
+            streamSid: this.streamSid,
+            start: {
+                streamSid: this.streamSid,
+                callSid: `CAfake${Date.now()}`,
+                tracks: ['inbound'],
+                customParameters: {},
+                mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 }
+            }
+        });
+
+        // Caller audio followed by a second of silence so the VAD sees the end of the utterance
+        const silence = Buffer.alloc(SAMPLE_RATE * 2);
+        await this.streamAudio(muLawEncode(Buffer.concat([this.callerAudio, silence])));
+        console.log('🗣️  Caller audio sent, waiting for the reply...');
+
+        setTimeout(() => this.hangUp(), REPLY_WAIT_MS);
+    }
+
+    // Real-time pacing, one 20 ms frame at a time, like a phone line
+    async streamAudio(muLaw) {
+        for (let offset = 0, chunk = 1; offset < muLaw.length; offset += FRAME_BYTES, chunk++) {
+            this.send({
+                event: 'media',
+                streamSid: this.streamSid,
+                media: {
+                    track: 'inbound',
+                    chunk: String(chunk),
+                    timestamp: String(chunk * 20),
+                    payload: muLaw.subarray(offset, offset + FRAME_BYTES).toString('base64')
+                }
+            });
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
+    handleMessage(message) {
+        if (message.event === 'media') {
+            this.received.push(Buffer.from(message.media.payload, 'base64'));
+        } else if (message.event === 'mark') {
+            // Pretend the audio sent so far has finished playing
+            console.log(`🔖 Mark ${message.mark.name}`);
+            this.send({ event: 'mark', streamSid: this.streamSid, mark: message.mark });
+        } else if (message.event === 'clear') {
+            console.log('🧹 Playback cleared');
+        }
+    }
+
+    hangUp() {
+        this.send({ event: 'stop', streamSid: this.streamSid, stop: {} });
+        this.ws.close();
+    }
+}
+
+const [inputFile, url = `ws://localhost:${process.env.PORT || 5000}${process.env.TELEPHONY_STREAM_PATH || '/media-stream'}`] = process.argv.slice(2);
+
+const call = new FakeMediaStream(url, loadCallerAudio(inputFile));
+call.run()
+    .then((muLaw) => {
+        const outputPath = join(__dirname, 'audio', 'fake-call-response.wav');
+        fs.mkdirSync(dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, pcmToWav(muLawDecode(muLaw), SAMPLE_RATE));
+        console.log(`✅ Received ${(muLaw.length / SAMPLE_RATE).toFixed(1)}s of audio -> ${outputPath}`);
+    })
+    .catch((error) => {
+        console.error('Fake media stream failed:', error.message);
+        process.exit(1);
+    });
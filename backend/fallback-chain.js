@@ -0,0 +1,270 @@
+import { SentenceSplitter } from './sentence-splitter.js';
+
+// Declarative provider fallback: each route lists the providers to try, in order, with a
+// timeout per step. The first provider that answers wins, and the response carries a
+// provenance record saying who answered and why every earlier step was passed over.
+// Streaming runs forward text as it arrives; a step can only be passed over until its
+// first delta has gone out.
+
+export const DEFAULT_FALLBACK_POLICIES = {
+    'agent-chat': [
+        { provider: 'agent', timeoutMs: 15000 },
+        { provider: 'llm', timeoutMs: 10000 },
+        { provider: 'local', timeoutMs: 8000 },
+        { provider: 'canned' }
+    ],
+    'instant-chat': [
+        { provider: 'agent', timeoutMs: 10000 },
+        { provider: 'llm', timeoutMs: 8000 },
+        { provider: 'local', timeoutMs: 8000 },
+        { provider: 'canned' }
+    ],
+    'chat': [
+        { provider: 'llm', timeoutMs: 15000 },
+        { provider: 'local', timeoutMs: 8000 },
+        { provider: 'canned' }
+    ]
+};
+
+// Thrown by a provider that answered, but with something the route should not use
+export class ProviderRejected extends Error {}
+
+class ProviderTimeout extends Error {}
+
+// FALLBACK_AGENT_CHAT="agent:12000,llm:8000,ollama,canned" replaces the agent-chat policy
+export function resolveFallbackPolicies(env = process.env) {
+    const policies = { ...DEFAULT_FALLBACK_POLICIES };
+
+    for (const route of Object.keys(policies)) {
+        const value = env[`FALLBACK_${route.toUpperCase().replace(/-/g, '_')}`];
+        if (!value?.trim()) continue;
+
+        policies[route] = value.split(',').map(step => step.trim()).filter(Boolean).map(step => {
+            const [provider, timeout] = step.split(':');
+            const timeoutMs = parseInt(timeout);
+            return Number.isFinite(timeoutMs) && timeoutMs > 0 ? { provider, timeoutMs } : { provider };
+        });
+    }
+
+    return policies;
+}
+
+function withTimeout(promise, timeoutMs, controller) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new ProviderTimeout(`no answer within ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Abort the controller along with the caller's signal; -> a function that stops following it
+function follow(signal, controller) {
+    const abort = () => controller.abort();
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    return () => signal?.removeEventListener('abort', abort);
+}
+
+export class FallbackChain {
+    // providers: name -> { unavailableReason?(request), respond(request, { signal }) -> { text, ... },
+    //                     stream?(request, { signal, onDelta }) -> { text, ... }, guarded?, label?(request) }
+    // label names what actually answers for a generic step (the `llm` step reports the selected provider)
+    // guard: a ResponseGuard every answer is checked with; providers with `guarded: false` skip it
+    constructor(providers, { policies = resolveFallbackPolicies(), guard = null } = {}) {
+        this.providers = providers;
+        this.policies = policies;
+        this.guard = guard;
+    }
+
+    // Ask a provider, asking once more if the guard wants a retry
+    async ask(route, name, provider, request, timeoutMs, signal = null) {
+        let retriedFor = null;
+
+        for (let attempt = 1; ; attempt++) {
+            const controller = new AbortController();
+            const unfollow = follow(signal, controller);
+
+            let answer;
+            try {
+                answer = await withTimeout(provider.respond(request, { signal: controller.signal }), timeoutMs, controller);
+            } finally {
+                unfollow();
+            }
+
+            if (!this.guard || provider.guarded === false) {
+                if (!answer?.text?.trim()) {
+                    throw new ProviderRejected('empty response');
+                }
+                return { answer, notes: [] };
+            }
+
+            const { flags, action } = this.guard.check(answer?.text, { route, provider: name, message: request.message, history: request.history });
+            const reasons = flags.map(flag => flag.rule).join(', ');
+
+            if (action === 'fallback' || (action === 'retry' && attempt > 1)) {
+                throw new ProviderRejected(retriedFor ? `${reasons} (after retrying for: ${retriedFor})` : reasons);
+            }
+            if (action !== 'retry') {
+                const notes = [];
+                if (retriedFor) notes.push(`retried for: ${retriedFor}`);
+                if (flags.length > 0) notes.push(`kept despite: ${reasons}`);
+                return { answer, notes };
+            }
+            retriedFor = reasons;
+        }
+    }
+
+    // Forward a streaming provider's text as it arrives. The step timeout covers the wait for the
+    // first delta, not the whole answer. The first sentence is held back until the guard has seen
+    // it, so a stock greeting or a repeat can still be retried or passed over before anything goes
+    // out; flags on the rest of a streamed answer can only be noted.
+    async askStreaming(route, name, provider, request, timeoutMs, { onDelta, signal, output }) {
+        const guarded = Boolean(this.guard) && provider.guarded !== false;
+        const context = { route, provider: name, message: request.message, history: request.history };
+        let retriedFor = null;
+
+        for (let attempt = 1; ; attempt++) {
+            const controller = new AbortController();
+            const unfollow = follow(signal, controller);
+            const splitter = new SentenceSplitter();
+            let held = guarded ? '' : null;   // text waiting for the guard; null once it flows
+            let blocked = null;
+
+            const release = () => {
+                if (held) {
+                    output.streamed = true;
+                    onDelta(held);
+                }
+                held = null;
+            };
+
+            let started;
+            const firstDelta = new Promise(resolve => { started = resolve; });
+            const answering = provider.stream(request, {
+                signal: controller.signal,
+                onDelta: (delta) => {
+                    started();
+                    if (blocked) return;
+                    if (held === null) {
+                        output.streamed = true;
+                        onDelta(delta);
+                        return;
+                    }
+
+                    held += delta;
+                    const [first] = splitter.push(delta);
+                    if (!first) return;
+
+                    const verdict = this.guard.checkSentence(first, context);
+                    if (verdict.action === 'retry' || verdict.action === 'fallback') {
+                        blocked = verdict;
+                        controller.abort();
+                    } else {
+                        release();
+                    }
+                }
+            });
+            answering.catch(() => {});
+
+            let answer;
+            try {
+                await withTimeout(Promise.race([firstDelta, answering]), timeoutMs, controller);
+                answer = await answering;
+            } catch (error) {
+                if (!blocked) throw error;
+            } finally {
+                unfollow();
+            }
+
+            // An answer short enough to be held back whole gets the full check before it goes out
+            const wasHeld = held !== null;
+            const checked = guarded && !blocked ? this.guard.check(answer?.text, context) : null;
+            if (wasHeld && (checked?.action === 'retry' || checked?.action === 'fallback')) {
+                blocked = checked;
+            }
+
+            if (blocked) {
+                const reasons = blocked.flags.map(flag => flag.rule).join(', ');
+                if (blocked.action === 'fallback' || attempt > 1) {
+                    throw new ProviderRejected(retriedFor ? `${reasons} (after retrying for: ${retriedFor})` : reasons);
+                }
+                retriedFor = reasons;
+                continue;
+            }
+
+            if (!answer?.text?.trim()) {
+                throw new ProviderRejected('empty response');
+            }
+            release();
+
+            const notes = [];
+            if (retriedFor) notes.push(`retried for: ${retriedFor}`);
+            if (checked?.flags.length > 0) {
+                notes.push(`${wasHeld ? 'kept' : 'streamed'} despite: ${checked.flags.map(flag => flag.rule).join(', ')}`);
+            }
+            return { answer, notes };
+        }
+    }
+
+    // onDelta: stream the answer, from providers with stream() as it is generated and from the
+    // others in one piece; signal: cancels the providers' requests when the client goes away
+    async run(route, request, { onDelta = null, signal = null } = {}) {
+        const steps = this.policies[route];
+        if (!steps) {
+            throw new Error(`No fallback policy for route: ${route}`);
+        }
+
+        const attempts = [];
+        const output = { streamed: false };
+
+        for (const { provider: step, timeoutMs } of steps) {
+            const provider = this.providers[step];
+            const name = provider?.label?.(request) || step;
+            const startedAt = Date.now();
+            const record = (outcome, reason) => attempts.push({ provider: name, outcome, reason, ms: Date.now() - startedAt });
+
+            if (!provider) {
+                record('skipped', 'unknown provider');
+                continue;
+            }
+
+            const unavailable = provider.unavailableReason?.(request);
+            if (unavailable) {
+                record('skipped', unavailable);
+                continue;
+            }
+
+            try {
+                const { answer, notes } = onDelta && provider.stream
+                    ? await this.askStreaming(route, name, provider, request, timeoutMs, { onDelta, signal, output })
+                    : await this.ask(route, name, provider, request, timeoutMs, signal);
+
+                if (onDelta && !output.streamed) {
+                    onDelta(answer.text);
+                }
+                record('answered', notes.length > 0 ? notes.join('; ') : null);
+                return { ...answer, provenance: { route, provider: name, attempts } };
+            } catch (error) {
+                const outcome = error instanceof ProviderTimeout ? 'timeout' : error instanceof ProviderRejected ? 'rejected' : 'failed';
+                record(outcome, error.message);
+                console.warn(`Fallback ${route}: ${name} ${outcome} (${error.message})`);
+
+                // Part of this answer already reached the client, or nobody is left to receive one
+                if (output.streamed || signal?.aborted) {
+                    error.provenance = { route, provider: null, attempts };
+                    throw error;
+                }
+            }
+        }
+
+        const error = new Error(`Every provider failed for ${route}`);
+        error.provenance = { route, provider: null, attempts };
+        throw error;
+    }
+}
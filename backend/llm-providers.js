@@ -0,0 +1,452 @@
+import axios from 'axios';
+
+const IONOS_BASE_URL = 'https://openai.inference.de-txl.ionos.com/v1';
+const IONOS_DEFAULT_MODEL = 'meta-llama/Meta-Llama-3.1-8B-Instruct';
+
+// Tool call arguments arrive as a JSON string; null marks arguments the model garbled
+function parseToolArguments(value) {
+    if (value && typeof value === 'object') return value;
+    try {
+        return JSON.parse(value || '{}');
+    } catch {
+        return null;
+    }
+}
+
+// Yields lines from a streamed HTTP response body
+async function* readLines(stream) {
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        yield* lines;
+    }
+    if (buffer) yield buffer;
+}
+
+// Streamed requests get their error body as a stream as well; read it so callers can see why
+async function withErrorBody(error) {
+    const body = error.response?.data;
+    if (typeof body?.on !== 'function') return error;
+
+    let text = '';
+    for await (const chunk of body) text += chunk.toString();
+    try {
+        error.response.data = JSON.parse(text);
+    } catch {
+        error.response.data = text;
+    }
+    return error;
+}
+
+// Base class for chat completion providers. Subclasses implement getChatCompletion() and
+// usually streamChatCompletion(); the default stream yields the whole completion at once.
+export class LLMProvider {
+    constructor(name, { defaultModel = null } = {}) {
+        this.name = name;
+        this.defaultModel = defaultModel;
+        this.supportsTools = false;
+    }
+
+    // The model a request is sent with: the one asked for, or this provider's default
+    resolveModel(model) {
+        return model || this.defaultModel;
+    }
+
+    // Why requests would fail before they are sent (missing credentials), or null
+    unavailableReason() {
+        return null;
+    }
+
+    async getChatCompletion(messages, model, options = {}) {
+        throw new Error(`${this.name} provider does not implement getChatCompletion`);
+    }
+
+    // -> { content, toolCalls: [{ id, name, arguments }] }. Providers without native tool calling
+    // ignore `tools` and answer with text only; tool-calling.js then uses its text protocol.
+    async getChatMessage(messages, model, options = {}) {
+        return { content: await this.getChatCompletion(messages, model, options), toolCalls: [] };
+    }
+
+    // How a tool-calling turn and each result are sent back to the model (OpenAI format)
+    toolCallMessage({ content, toolCalls }) {
+        return {
+            role: 'assistant',
+            content: content || null,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+            }))
+        };
+    }
+
+    toolResultMessage(call, content) {
+        return { role: 'tool', tool_call_id: call.id, content };
+    }
+
+    async *streamChatCompletion(messages, model, options = {}) {
+        yield await this.getChatCompletion(messages, model, options);
+    }
+
+    // Yields { content } deltas and, if the model calls tools, one { toolCalls } at the end.
+    // Without a streaming tool API a request with `tools` is answered in one piece.
+    async *streamChatMessage(messages, model, options = {}) {
+        if (options.tools?.length) {
+            const { content, toolCalls } = await this.getChatMessage(messages, model, options);
+            if (content) yield { content };
+            if (toolCalls.length > 0) yield { toolCalls };
+            return;
+        }
+
+        for await (const content of this.streamChatCompletion(messages, model, options)) {
+            yield { content };
+        }
+    }
+
+    async listModels() {
+        return { data: this.defaultModel ? [{ id: this.defaultModel }] : [] };
+    }
+}
+
+// Any server exposing the OpenAI `/chat/completions` endpoint (IONOS, OpenAI, vLLM, llama.cpp)
+export class OpenAICompatibleLLMProvider extends LLMProvider {
+    constructor({ name = 'openai', baseURL, apiKey = null, apiKeyName = null, defaultModel, timeout = 30000 }) {
+        super(name, { defaultModel });
+        this.baseURL = baseURL.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.missingKey = apiKeyName && !apiKey ? apiKeyName : null;
+        this.supportsTools = true;
+        this.headers = {
+            'Content-Type': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        };
+    }
+
+    unavailableReason() {
+        return this.missingKey ? `${this.missingKey} not set` : null;
+    }
+
+    async listModels() {
+        try {
+            const response = await axios.get(`${this.baseURL}/models`, {
+                headers: this.headers,
+                timeout: this.timeout
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error listing ${this.name} models:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async getChatCompletion(messages, model, options = {}) {
+        return (await this.getChatMessage(messages, model, options)).content;
+    }
+
+    async getChatMessage(messages, model, { signal, maxTokens = 150, temperature = 0.7, topP, stop, tools } = {}) {
+        try {
+            const response = await axios.post(`${this.baseURL}/chat/completions`, {
+                model: this.resolveModel(model),
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                ...(topP !== undefined && { top_p: topP }),
+                ...(stop && { stop }),
+                ...(tools?.length && { tools, tool_choice: 'auto' })
+            }, {
+                headers: this.headers,
+                timeout: this.timeout,
+                signal
+            });
+
+            const message = response.data.choices[0].message;
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: parseToolArguments(call.function.arguments)
+                }))
+            };
+        } catch (error) {
+            console.error(`Error getting ${this.name} chat completion:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Yields content deltas from an OpenAI-style `stream: true` completion
+    async *streamChatCompletion(messages, model, options = {}) {
+        for await (const { content } of this.streamChatMessage(messages, model, { ...options, tools: undefined })) {
+            if (content) yield content;
+        }
+    }
+
+    // Tool calls stream in pieces keyed by index: the id and name first, then the arguments bit by bit
+    async *streamChatMessage(messages, model, { signal, maxTokens = 150, temperature = 0.7, topP, stop, tools } = {}) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseURL}/chat/completions`, {
+                model: this.resolveModel(model),
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                ...(topP !== undefined && { top_p: topP }),
+                ...(stop && { stop }),
+                ...(tools?.length && { tools, tool_choice: 'auto' }),
+                stream: true
+            }, {
+                headers: this.headers,
+                responseType: 'stream',
+                signal
+            });
+        } catch (error) {
+            throw await withErrorBody(error);
+        }
+
+        const calls = [];
+        for await (const line of readLines(response.data)) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') break;
+
+            const delta = JSON.parse(payload).choices?.[0]?.delta || {};
+            if (delta.content) yield { content: delta.content };
+
+            for (const part of delta.tool_calls || []) {
+                const call = calls[part.index ?? calls.length] ??= { id: '', name: '', arguments: '' };
+                if (part.id) call.id = part.id;
+                if (part.function?.name) call.name += part.function.name;
+                if (part.function?.arguments) call.arguments += part.function.arguments;
+            }
+        }
+
+        if (calls.length > 0) {
+            yield {
+                toolCalls: calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) }))
+            };
+        }
+    }
+}
+
+// Local Ollama server through its native API (/api/chat, /api/tags)
+export class OllamaLLMProvider extends LLMProvider {
+    constructor({ url = 'http://127.0.0.1:11434', defaultModel = 'llama3.1', timeout = 60000 } = {}) {
+        super('ollama', { defaultModel });
+        this.url = url.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.supportsTools = true;
+    }
+
+    async listModels() {
+        try {
+            const response = await axios.get(`${this.url}/api/tags`, { timeout: this.timeout });
+            return { data: (response.data.models || []).map(model => ({ id: model.name, owned_by: 'ollama' })) };
+        } catch (error) {
+            console.error('Error listing Ollama models:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async getChatCompletion(messages, model, options = {}) {
+        return (await this.getChatMessage(messages, model, options)).content;
+    }
+
+    async getChatMessage(messages, model, { signal, maxTokens = 150, temperature = 0.7, topP, stop, tools } = {}) {
+        try {
+            const response = await axios.post(`${this.url}/api/chat`, {
+                model: this.resolveModel(model),
+                messages,
+                stream: false,
+                options: { num_predict: maxTokens, temperature, top_p: topP, stop },
+                ...(tools?.length && { tools })
+            }, {
+                timeout: this.timeout,
+                signal
+            });
+
+            const message = response.data.message || {};
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map((call, index) => ({
+                    id: `call_${index}`,
+                    name: call.function.name,
+                    arguments: parseToolArguments(call.function.arguments)
+                }))
+            };
+        } catch (error) {
+            console.error('Error getting Ollama chat completion:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Ollama takes arguments as objects and matches results to calls by tool name
+    toolCallMessage({ content, toolCalls }) {
+        return {
+            role: 'assistant',
+            content: content || '',
+            tool_calls: toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments ?? {} } }))
+        };
+    }
+
+    toolResultMessage(call, content) {
+        return { role: 'tool', tool_name: call.name, content };
+    }
+
+    async *streamChatCompletion(messages, model, options = {}) {
+        for await (const { content } of this.streamChatMessage(messages, model, { ...options, tools: undefined })) {
+            if (content) yield content;
+        }
+    }
+
+    // Ollama streams one JSON object per line; tool calls come whole inside one of them
+    async *streamChatMessage(messages, model, { signal, maxTokens = 150, temperature = 0.7, topP, stop, tools } = {}) {
+        let response;
+        try {
+            response = await axios.post(`${this.url}/api/chat`, {
+                model: this.resolveModel(model),
+                messages,
+                stream: true,
+                options: { num_predict: maxTokens, temperature, top_p: topP, stop },
+                ...(tools?.length && { tools })
+            }, {
+                responseType: 'stream',
+                signal
+            });
+        } catch (error) {
+            throw await withErrorBody(error);
+        }
+
+        const calls = [];
+        for await (const line of readLines(response.data)) {
+            if (!line.trim()) continue;
+
+            const event = JSON.parse(line);
+            if (event.message?.content) yield { content: event.message.content };
+            calls.push(...(event.message?.tool_calls || []));
+            if (event.done) break;
+        }
+
+        if (calls.length > 0) {
+            yield {
+                toolCalls: calls.map((call, index) => ({
+                    id: `call_${index}`,
+                    name: call.function.name,
+                    arguments: parseToolArguments(call.function.arguments)
+                }))
+            };
+        }
+    }
+}
+
+// Deterministic provider for development and tests: cycles through a fixed script and
+// remembers what it was asked
+export class MockLLMProvider extends LLMProvider {
+    constructor({ responses = ['This is a scripted reply from the mock language model.'], delayMs = 0 } = {}) {
+        super('mock', { defaultModel: 'mock' });
+        this.responses = responses.length > 0 ? responses : [''];
+        this.delayMs = delayMs;
+        this.index = 0;
+        this.calls = [];
+    }
+
+    async getChatCompletion(messages, model, options = {}) {
+        this.calls.push({ messages, model: this.resolveModel(model) });
+        if (this.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+
+        const text = this.responses[this.index % this.responses.length];
+        this.index++;
+        return text;
+    }
+
+    async *streamChatCompletion(messages, model, options = {}) {
+        const text = await this.getChatCompletion(messages, model, options);
+        for (const word of text.split(/(?<= )/)) {
+            if (options.signal?.aborted) return;
+            yield word;
+        }
+    }
+}
+
+export class LLMProviderRegistry {
+    constructor(defaultName) {
+        this.defaultName = defaultName;
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    names() {
+        return [...this.providers.keys()];
+    }
+
+    get(name = this.defaultName) {
+        const provider = this.providers.get(name || this.defaultName);
+        if (!provider) {
+            throw new Error(`LLM provider not configured: ${name || this.defaultName}`);
+        }
+        return provider;
+    }
+
+    // Per-request or per-scenario choice -> { provider, model }
+    resolve({ provider, model } = {}) {
+        const selected = this.get(provider);
+        return { provider: selected, model: model || selected.defaultModel };
+    }
+}
+
+// IONOS is always registered; OpenAI, the local server and Ollama once their URL is set, and the
+// mock only when LLM_MOCK_RESPONSES is set or it is the default.
+// LLM_PROVIDER names the default for requests and scenarios that don't pick one.
+export function createLLMProviders(env = process.env) {
+    const registry = new LLMProviderRegistry((env.LLM_PROVIDER || 'ionos').toLowerCase());
+
+    registry.register(new OpenAICompatibleLLMProvider({
+        name: 'ionos',
+        baseURL: env.IONOS_BASE_URL || IONOS_BASE_URL,
+        apiKey: env.IONOS_API_TOKEN,
+        apiKeyName: 'IONOS_API_TOKEN',
+        defaultModel: env.IONOS_MODEL || IONOS_DEFAULT_MODEL
+    }));
+
+    if (env.OPENAI_BASE_URL) {
+        registry.register(new OpenAICompatibleLLMProvider({
+            name: 'openai',
+            baseURL: env.OPENAI_BASE_URL,
+            apiKey: env.OPENAI_API_KEY,
+            defaultModel: env.OPENAI_MODEL || 'gpt-4o-mini'
+        }));
+    }
+
+    if (env.LOCAL_LLM_URL) {
+        registry.register(new OpenAICompatibleLLMProvider({
+            name: 'local',
+            baseURL: env.LOCAL_LLM_URL,
+            defaultModel: env.LOCAL_LLM_MODEL || 'llama3.1'
+        }));
+    }
+
+    if (env.OLLAMA_URL || registry.defaultName === 'ollama') {
+        registry.register(new OllamaLLMProvider({ url: env.OLLAMA_URL, defaultModel: env.OLLAMA_MODEL }));
+    }
+
+    if (env.LLM_MOCK_RESPONSES || registry.defaultName === 'mock') {
+        registry.register(new MockLLMProvider({
+            responses: env.LLM_MOCK_RESPONSES ? env.LLM_MOCK_RESPONSES.split('|') : undefined
+        }));
+    }
+
+    return registry;
+}
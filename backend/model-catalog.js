@@ -0,0 +1,200 @@
+import { profileFor } from './context-manager.js';
+
+// Server-side bounds for per-request generation parameters. max_tokens is further capped per
+// model at half its context window so the prompt always keeps room.
+export const DEFAULT_GENERATION_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: 1024 },
+    topP: { min: 0, max: 1 },
+    maxStopSequences: 4,
+    maxStopLength: 32
+};
+
+// What a model is for, guessed from its id (provider model lists rarely say)
+const MODEL_TYPES = [
+    { match: /whisper|transcri|speech-to-text/i, type: 'transcription' },
+    { match: /embed|bge-|e5-|minilm|sentence-t/i, type: 'embedding' },
+    { match: /diffusion|flux|dall-e|imagen|image/i, type: 'image' },
+    { match: /.*/, type: 'chat' }
+];
+
+// Families that accept OpenAI-style `tools`
+const TOOL_CALLING_MODELS = /llama-?3\.[1-9]|mistral|mixtral|qwen|gpt-4|gpt-3\.5|hermes|command-r/i;
+
+// Thrown for a model or parameter the request may not use; routes answer it with a 400
+export class GenerationParamsError extends Error {}
+
+// GENERATION_MAX_TOKENS=2048 raises the per-request max_tokens ceiling
+export function resolveGenerationLimits(env = process.env) {
+    const maxTokens = parseInt(env.GENERATION_MAX_TOKENS);
+
+    return {
+        ...DEFAULT_GENERATION_LIMITS,
+        maxTokens: {
+            ...DEFAULT_GENERATION_LIMITS.maxTokens,
+            ...(Number.isInteger(maxTokens) && maxTokens > 0 && { max: maxTokens })
+        }
+    };
+}
+
+function describeModel(id, provider, ownedBy, limits) {
+    const type = MODEL_TYPES.find(entry => entry.match.test(id)).type;
+    const { contextWindow } = profileFor(id);
+
+    return {
+        id,
+        provider,
+        ownedBy: ownedBy || provider,
+        type,
+        capabilities: {
+            chat: type === 'chat',
+            streaming: type === 'chat',
+            tools: type === 'chat' && TOOL_CALLING_MODELS.test(id),
+            contextWindow,
+            maxOutputTokens: Math.min(limits.maxTokens.max, Math.floor(contextWindow / 2))
+        }
+    };
+}
+
+function checkNumber(name, value, { min, max }, { integer = false } = {}) {
+    if (value === undefined || value === null) return undefined;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        throw new GenerationParamsError(`${name} must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    if (value < min || value > max) {
+        throw new GenerationParamsError(`${name} must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function checkStop(stop, limits) {
+    if (stop === undefined || stop === null) return undefined;
+
+    const sequences = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(sequences) || sequences.some(sequence => typeof sequence !== 'string' || !sequence)) {
+        throw new GenerationParamsError('stop must be a string or an array of non-empty strings');
+    }
+    if (sequences.length > limits.maxStopSequences) {
+        throw new GenerationParamsError(`stop allows at most ${limits.maxStopSequences} sequences`);
+    }
+    if (sequences.some(sequence => sequence.length > limits.maxStopLength)) {
+        throw new GenerationParamsError(`stop sequences may be at most ${limits.maxStopLength} characters`);
+    }
+    return sequences;
+}
+
+// Model lists of every configured LLM provider, refreshed in the background
+export class ModelCatalog {
+    constructor(providers, { limits = DEFAULT_GENERATION_LIMITS, refreshIntervalMs = 600000 } = {}) {
+        this.providers = providers;   // LLMProviderRegistry
+        this.limits = limits;
+        this.refreshIntervalMs = refreshIntervalMs;
+        this.catalogs = new Map();    // provider name -> { models: Map(id -> entry), refreshedAt, error }
+        this.refreshing = null;
+        this.timer = null;
+    }
+
+    start() {
+        this.refresh();
+        if (this.refreshIntervalMs > 0) {
+            this.timer = setInterval(() => this.refresh(), this.refreshIntervalMs);
+            this.timer.unref?.();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = Promise.all(this.providers.names().map(name => this.refreshProvider(name)))
+                .finally(() => { this.refreshing = null; });
+        }
+        return this.refreshing;
+    }
+
+    async refreshProvider(name) {
+        const provider = this.providers.get(name);
+        const previous = this.catalogs.get(name);
+
+        const unavailable = provider.unavailableReason();
+        if (unavailable) {
+            this.catalogs.set(name, { models: new Map(), refreshedAt: null, error: unavailable });
+            return;
+        }
+
+        try {
+            const { data = [] } = await provider.listModels();
+            const models = new Map(data.map(model => [model.id, describeModel(model.id, name, model.owned_by, this.limits)]));
+            this.catalogs.set(name, { models, refreshedAt: new Date().toISOString(), error: null });
+        } catch (error) {
+            // Keep serving the last good list until the provider answers again
+            this.catalogs.set(name, {
+                models: previous?.models || new Map(),
+                refreshedAt: previous?.refreshedAt || null,
+                error: error.message
+            });
+        }
+    }
+
+    list({ provider, type } = {}) {
+        const models = [];
+        for (const [name, catalog] of this.catalogs) {
+            if (provider && name !== provider) continue;
+            for (const entry of catalog.models.values()) {
+                if (!type || entry.type === type) models.push(entry);
+            }
+        }
+        return models;
+    }
+
+    status() {
+        return Object.fromEntries([...this.catalogs].map(([name, { models, refreshedAt, error }]) => [
+            name,
+            { models: models.size, refreshedAt, error }
+        ]));
+    }
+
+    find(providerName, model) {
+        return this.catalogs.get(providerName)?.models.get(model) || null;
+    }
+
+    // Checks the model against the provider's list and the generation parameters against
+    // the limits; -> { temperature, maxTokens, topP, stop } with only the given keys
+    validate(provider, model, params = {}) {
+        const resolved = provider.resolveModel(model);
+        const catalog = this.catalogs.get(provider.name);
+        if (!catalog) {
+            this.refresh();
+        }
+
+        // The configured default is trusted even if the provider doesn't list it. Until the list
+        // has loaded (or while the provider fails to give one) nothing else is.
+        const entry = catalog?.models.get(resolved) || null;
+        const loaded = catalog?.models.size > 0;
+        if (!entry && resolved !== provider.defaultModel) {
+            throw new GenerationParamsError(loaded
+                ? `Unknown model for ${provider.name}: ${model}`
+                : `Unknown model for ${provider.name}: ${model} (its model list is not available yet)`);
+        }
+        if (entry && !entry.capabilities.chat) {
+            throw new GenerationParamsError(`${model} is ${/^[aeiou]/.test(entry.type) ? 'an' : 'a'} ${entry.type} model, not a chat model`);
+        }
+
+        const maxTokensLimit = entry
+            ? { ...this.limits.maxTokens, max: entry.capabilities.maxOutputTokens }
+            : this.limits.maxTokens;
+
+        const generation = {
+            temperature: checkNumber('temperature', params.temperature, this.limits.temperature),
+            maxTokens: checkNumber('max_tokens', params.max_tokens, maxTokensLimit, { integer: true }),
+            topP: checkNumber('top_p', params.top_p, this.limits.topP),
+            stop: checkStop(params.stop, this.limits)
+        };
+
+        return Object.fromEntries(Object.entries(generation).filter(([, value]) => value !== undefined));
+    }
+}
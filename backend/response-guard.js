@@ -0,0 +1,165 @@
+// Quality checks every chat reply passes through before it reaches the user.
+// Each rule that fires produces a flag; the strictest configured action among the flags
+// decides what happens: 'retry' asks the same provider once more, 'fallback' moves on to the
+// next provider in the chain and 'warn' keeps the reply but still records the flag.
+
+export const DEFAULT_GUARD_ACTIONS = {
+    'empty': 'fallback',
+    'generic-greeting': 'fallback',
+    'repeated': 'retry',
+    'truncated': 'warn',
+    'off-topic': 'warn'
+};
+
+const ACTION_SEVERITY = { warn: 1, retry: 2, fallback: 3 };
+
+// The rules that can judge a single sentence of a reply that is spoken while it is generated
+const SENTENCE_RULES = new Set(['generic-greeting', 'repeated']);
+
+const GENERIC_GREETINGS = [
+    /i'm ready\s*[—–-]\s*what's on your mind today/i,
+    /want to capture a note, draft a message/i,
+    /^(hi|hello|hey)( there)?[,!.]?\s*how can i (help|assist) you( today)?\??$/i,
+    /^what can i do for you( today)?\??$/i
+];
+
+const STOPWORDS = new Set(('about above after again also another because been before being between both could does doing ' +
+    'down during each from further have having here into itself just more most other over same should some such than that ' +
+    'their them then there these they this those through under until very what when where which while will with would your ' +
+    'yours please thanks thank tell know want like need make really').split(' '));
+
+function words(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function keywords(text) {
+    return new Set(words(text).filter(word => word.length >= 4 && !STOPWORDS.has(word)));
+}
+
+// Cosine similarity of word-count vectors, 0..1
+export function textSimilarity(a, b) {
+    const countsA = new Map();
+    const countsB = new Map();
+    for (const word of words(a)) countsA.set(word, (countsA.get(word) || 0) + 1);
+    for (const word of words(b)) countsB.set(word, (countsB.get(word) || 0) + 1);
+
+    let dot = 0;
+    for (const [word, count] of countsA) {
+        dot += count * (countsB.get(word) || 0);
+    }
+    const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+    const denominator = norm(countsA) * norm(countsB);
+    return denominator ? dot / denominator : 0;
+}
+
+// RESPONSE_GUARD_ACTIONS="truncated:fallback,off-topic:ignore", RESPONSE_GUARD_SIMILARITY=0.85 (0 turns it off)
+export function resolveGuardOptions(env = process.env) {
+    const actions = { ...DEFAULT_GUARD_ACTIONS };
+
+    for (const entry of (env.RESPONSE_GUARD_ACTIONS || '').split(',')) {
+        const [rule, action] = entry.split(':').map(part => part?.trim());
+        if (rule in actions && (action in ACTION_SEVERITY || action === 'ignore')) {
+            actions[rule] = action;
+        }
+    }
+
+    const similarity = parseFloat(env.RESPONSE_GUARD_SIMILARITY);
+    return {
+        actions,
+        similarityThreshold: Number.isFinite(similarity) && similarity >= 0 ? similarity : 0.85
+    };
+}
+
+export class ResponseGuard {
+    constructor({ actions = DEFAULT_GUARD_ACTIONS, similarityThreshold = 0.85, minTruncatedWords = 8, store = null } = {}) {
+        this.actions = actions;
+        this.similarityThreshold = similarityThreshold;
+        this.minTruncatedWords = minTruncatedWords;
+        this.store = store;
+    }
+
+    detect(text, { message = '', history = [] } = {}) {
+        const reply = (text || '').trim();
+        if (!reply) {
+            return [{ rule: 'empty', reason: 'no text in the reply' }];
+        }
+
+        const flags = [];
+        const previousReplies = history.filter(turn => turn.role === 'assistant').map(turn => turn.content || '').slice(-3);
+
+        // A greeting is fine to open with, not as the answer to a follow-up
+        if (previousReplies.length > 0 && GENERIC_GREETINGS.some(pattern => pattern.test(reply))) {
+            flags.push({ rule: 'generic-greeting', reason: 'stock greeting in the middle of a conversation' });
+        }
+
+        const normalized = words(reply).join(' ');
+        for (const previous of previousReplies) {
+            if (words(previous).join(' ') === normalized) {
+                flags.push({ rule: 'repeated', reason: 'identical to an earlier reply' });
+                break;
+            }
+            const similarity = this.similarityThreshold > 0 ? textSimilarity(reply, previous) : 0;
+            if (similarity >= this.similarityThreshold) {
+                flags.push({ rule: 'repeated', reason: `${Math.round(similarity * 100)}% similar to an earlier reply` });
+                break;
+            }
+        }
+
+        // Long replies that stop mid-sentence usually ran into the token limit
+        if (!/[.!?…。"'”)\]*]$/.test(reply) && words(reply).length >= this.minTruncatedWords) {
+            flags.push({ rule: 'truncated', reason: 'reply ends mid-sentence' });
+        }
+
+        // Not a single content word in common with the question
+        const asked = keywords(message);
+        if (asked.size >= 3 && words(reply).length >= 8) {
+            const answered = keywords(reply);
+            if (![...asked].some(word => answered.has(word))) {
+                flags.push({ rule: 'off-topic', reason: 'no overlap with the question' });
+            }
+        }
+
+        return flags;
+    }
+
+    // -> { flags, action: 'accept' | 'warn' | 'retry' | 'fallback' }
+    check(text, { route = null, provider = null, message, history } = {}) {
+        const flags = this.detect(text, { message, history });
+        const action = this.decide(flags);
+        this.report({ route, provider, flags, action });
+        return { flags, action };
+    }
+
+    // For voice replies, before a sentence goes to TTS; only flagged sentences are recorded
+    checkSentence(sentence, { route = null, provider = null, message, history } = {}) {
+        const flags = this.detect(sentence, { message, history }).filter(flag => SENTENCE_RULES.has(flag.rule));
+        const action = this.decide(flags);
+        if (flags.length > 0) {
+            this.report({ route, provider, flags, action });
+        }
+        return { flags, action };
+    }
+
+    decide(flags) {
+        let action = 'accept';
+        for (const flag of flags) {
+            flag.action = this.actions[flag.rule] || 'warn';
+            if ((ACTION_SEVERITY[flag.action] || 0) > (ACTION_SEVERITY[action] || 0)) {
+                action = flag.action;
+            }
+        }
+        return action;
+    }
+
+    report({ route, provider, flags, action }) {
+        if (flags.length > 0) {
+            console.warn(`Response guard (${route || 'unknown'}/${provider || 'unknown'}): ${flags.map(flag => flag.rule).join(', ')} -> ${action}`);
+        }
+
+        try {
+            this.store?.record({ route, provider, flags, action });
+        } catch (error) {
+            console.warn('Failed to record response check:', error.message);
+        }
+    }
+}
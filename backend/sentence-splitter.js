@@ -0,0 +1,35 @@
+// Splits streamed LLM text into speakable sentences as soon as each one completes
+export class SentenceSplitter {
+    constructor({ minLength = 20 } = {}) {
+        // Very short sentences ("Sure.") are merged with the next one to avoid choppy TTS
+        this.minLength = minLength;
+        this.buffer = '';
+    }
+
+    push(text) {
+        this.buffer += text;
+
+        const sentences = [];
+        const boundary = /[.!?…]+["')\]]*\s+|\n+/g;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const sentence = this.buffer.slice(start, end).trim();
+            if (sentence.length >= this.minLength) {
+                sentences.push(sentence);
+                start = end;
+            }
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest ? [rest] : [];
+    }
+}
@@ -3,6 +3,7 @@ import cors from 'cors';
 import multer from 'multer';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import axios from 'axios';
@@ -12,6 +13,25 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import WebSocket from 'ws';
 import Database from 'better-sqlite3';
+import { createSTTProvider } from './stt-providers.js';
+import { PCM_SAMPLE_RATE, AUDIO_CONTENT_TYPES, toBuffer, uniqueAudioFileName, resolveAudioFormat, encodeAudioChunks } from './audio-utils.js';
+import { SUPPORTED_ENCODINGS, createAudioDecoder } from './audio-codecs.js';
+import { VoiceActivityDetector } from './vad.js';
+import { SentenceSplitter } from './sentence-splitter.js';
+import { VoicePipeline } from './voice-pipeline.js';
+import { resolveSessionLimits, TokenBucket } from './session-limits.js';
+import { TelephonyBridge, verifyTwilioSignature } from './telephony-bridge.js';
+import { SessionObserverHub } from './session-observers.js';
+import { ConvAIConnectionManager } from './convai-connections.js';
+import { ConvAITranscriptSync } from './convai-sync.js';
+import { FallbackChain } from './fallback-chain.js';
+import { ResponseGuard, resolveGuardOptions } from './response-guard.js';
+import { ContextManager } from './context-manager.js';
+import { createLLMProviders } from './llm-providers.js';
+import { ModelCatalog, GenerationParamsError, resolveGenerationLimits } from './model-catalog.js';
+import { ToolRegistry } from './assistant-tools.js';
+import { registerBuiltinTools } from './builtin-tools.js';
+import { ToolCallingLoop } from './tool-calling.js';
 
 dotenv.config();
 
@@ -29,7 +49,11 @@ const io = new Server(httpServer, {
 const port = process.env.PORT || 5000;
 
 app.use(cors());
-app.use(express.json({ limit: process.env.MAX_CONTENT_LENGTH || '16mb' }));
+app.use(express.json({
+    limit: process.env.MAX_CONTENT_LENGTH || '16mb',
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 app.use(express.urlencoded({ extended: true, limit: process.env.MAX_CONTENT_LENGTH || '16mb' }));
 
 const storage = multer.diskStorage({
@@ -47,26 +71,62 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
-// Conversation scenarios for role-play practice
+// Conversation scenarios for role-play practice. An optional `llm: { provider, model }` picks the
+// text model that plays the scenario when the request doesn't choose one.
 const SCENARIOS = {
     "tough_customer": {
         title: "Difficult Customer",
-        prompt: "You are an annoyed customer who believes they were overcharged for a service. You're calling customer support and you're frustrated, but you can be convinced if the agent is empathetic and offers a reasonable solution. Be challenging but fair."
+        prompt: "You are an annoyed customer who believes they were overcharged for a service. You're calling customer support and you're frustrated, but you can be convinced if the agent is empathetic and offers a reasonable solution. Be challenging but fair.",
+        firstMessage: "Hi, yes, I'm calling about my last bill. I've been charged way more than I should have been.",
+        language: "en",
+        voiceId: "EXAVITQu4vr4xHkJhC7x"
     },
     "job_interview": {
         title: "Job Interview",
-        prompt: "You are an interviewer for an Associate PM role at a tech startup. Ask relevant questions about product management, prioritization, and problem-solving. Be professional but thorough in your evaluation."
+        prompt: "You are an interviewer for an Associate PM role at a tech startup. Ask relevant questions about product management, prioritization, and problem-solving. Be professional but thorough in your evaluation.",
+        firstMessage: "Hi {{user_name}}, thanks for coming in today. To start, could you walk me through your background?",
+        language: "en",
+        voiceId: "pNInz6obpgDQGcFmaJgB"
     },
     "sales_objection": {
         title: "Sales Objection",
-        prompt: "You are a potential customer considering a software purchase but you have concerns about price, implementation time, and whether it fits your needs. Raise realistic objections that a good salesperson should be able to address."
+        prompt: "You are a potential customer considering a software purchase but you have concerns about price, implementation time, and whether it fits your needs. Raise realistic objections that a good salesperson should be able to address.",
+        firstMessage: "I've looked at your proposal, but honestly I'm not sure it's worth the price.",
+        language: "en",
+        voiceId: "ErXwobaYiN019PkySvjV"
     },
     "performance_review": {
         title: "Performance Review",
-        prompt: "You are a manager conducting a performance review with a team member who has been struggling with deadlines but shows potential. Be constructive but honest about areas for improvement."
+        prompt: "You are a manager conducting a performance review with a team member who has been struggling with deadlines but shows potential. Be constructive but honest about areas for improvement.",
+        firstMessage: "Hi {{user_name}}, thanks for making the time. Let's talk about how the last quarter went for you.",
+        language: "en",
+        voiceId: "21m00Tcm4TLvDq8ikWAM"
     }
 };
 
+// ConvAI session settings for a scenario. conversation_config_override uses the ElevenLabs
+// API field names; the agent must allow these overrides in its security settings.
+function buildScenarioOverrides(scenarioId, { userName } = {}) {
+    const scenario = SCENARIOS[scenarioId];
+    const voiceId = scenario.voiceId || process.env.ELEVEN_LABS_VOICE_ID;
+
+    return {
+        conversation_config_override: {
+            agent: {
+                prompt: { prompt: scenario.prompt },
+                first_message: scenario.firstMessage,
+                language: scenario.language || 'en'
+            },
+            ...(voiceId && { tts: { voice_id: voiceId } })
+        },
+        dynamic_variables: {
+            user_name: userName || 'there',
+            scenario_id: scenarioId,
+            scenario_title: scenario.title
+        }
+    };
+}
+
 // Database initialization
 const db = new Database('conversations.db');
 
@@ -102,6 +162,52 @@ db.exec(`
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (session_id) REFERENCES sessions (id)
     );
+
+    CREATE TABLE IF NOT EXISTS turn_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        turn_id INTEGER,
+        stt_ms INTEGER,
+        first_token_ms INTEGER,
+        first_audio_ms INTEGER,
+        speech_end_to_first_audio_ms INTEGER,
+        total_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS observer_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        author TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS session_summaries (
+        session_id TEXT PRIMARY KEY,
+        summary TEXT,
+        covered_count INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS response_checks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        route TEXT,
+        provider TEXT,
+        flags TEXT,
+        action TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS convai_conversations (
+        session_id TEXT PRIMARY KEY,
+        agent_id TEXT,
+        status TEXT,
+        duration_secs INTEGER,
+        metadata TEXT,
+        synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions (id)
+    );
 `);
 
 // Prepared statements for performance
@@ -115,108 +221,119 @@ const insertCoachingEvaluation = db.prepare(`
 const getSession = db.prepare('SELECT * FROM sessions WHERE id = ?');
 const getSessionTurns = db.prepare('SELECT * FROM turns WHERE session_id = ? ORDER BY timestamp');
 const getCoachingEvaluation = db.prepare('SELECT * FROM coaching_evaluations WHERE session_id = ? ORDER BY created_at DESC LIMIT 1');
+const insertTurnMetrics = db.prepare(`
+    INSERT INTO turn_metrics
+    (session_id, turn_id, stt_ms, first_token_ms, first_audio_ms, speech_end_to_first_audio_ms, total_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const markTurnInterrupted = db.prepare(`UPDATE turns SET message = ? WHERE id = ? AND session_id = ? AND speaker = 'assistant'`);
+const getRecentTurnMetrics = db.prepare('SELECT * FROM turn_metrics ORDER BY id DESC LIMIT ?');
+const insertObserverNote = db.prepare('INSERT INTO observer_notes (session_id, author, note) VALUES (?, ?, ?)');
+const getObserverNotes = db.prepare('SELECT * FROM observer_notes WHERE session_id = ? ORDER BY id');
+const getSessionSummary = db.prepare('SELECT * FROM session_summaries WHERE session_id = ?');
+const upsertSessionSummary = db.prepare(`
+    INSERT INTO session_summaries (session_id, summary, covered_count) VALUES (?, ?, ?)
+    ON CONFLICT(session_id) DO UPDATE SET
+        summary = excluded.summary, covered_count = excluded.covered_count, updated_at = CURRENT_TIMESTAMP
+`);
+const insertResponseCheck = db.prepare('INSERT INTO response_checks (route, provider, flags, action) VALUES (?, ?, ?, ?)');
+const getRecentResponseChecks = db.prepare('SELECT * FROM response_checks ORDER BY id DESC LIMIT ?');
+const upsertSessionAt = db.prepare(`
+    INSERT INTO sessions (id, scenario, created_at) VALUES (?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET scenario = excluded.scenario, updated_at = CURRENT_TIMESTAMP
+`);
+const deleteSessionTurns = db.prepare('DELETE FROM turns WHERE session_id = ?');
+const insertTurnAt = db.prepare('INSERT INTO turns (session_id, speaker, message, timestamp) VALUES (?, ?, ?, ?)');
+const upsertConvaiConversation = db.prepare(`
+    INSERT INTO convai_conversations (session_id, agent_id, status, duration_secs, metadata) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(session_id) DO UPDATE SET
+        agent_id = excluded.agent_id, status = excluded.status, duration_secs = excluded.duration_secs,
+        metadata = excluded.metadata, synced_at = CURRENT_TIMESTAMP
+`);
+const listSessions = db.prepare(`
+    SELECT s.id, s.scenario, s.created_at, s.updated_at, c.status AS convai_status,
+        (SELECT COUNT(*) FROM turns t WHERE t.session_id = s.id) AS turn_count
+    FROM sessions s
+    LEFT JOIN convai_conversations c ON c.session_id = s.id
+    ORDER BY s.created_at DESC
+    LIMIT ?
+`);
 
-class IONOSAIService {
-    constructor() {
-        this.apiToken = process.env.IONOS_API_TOKEN;
-        this.baseURL = 'https://openai.inference.de-txl.ionos.com/v1';
-        this.headers = {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json'
-        };
+// Latency stats store used by the voice pipeline
+const turnMetricsStore = {
+    record({ sessionId, turnId, latency }) {
+        insertTurnMetrics.run(
+            sessionId,
+            turnId,
+            latency.stt,
+            latency.firstToken,
+            latency.firstAudio,
+            latency.speechEndToFirstAudio,
+            latency.total
+        );
     }
+};
 
-    async listModels() {
-        try {
-            const response = await axios.get(`${this.baseURL}/models`, {
-                headers: this.headers
-            });
-            return response.data;
-        } catch (error) {
-            console.error('Error listing models:', error.response?.data || error.message);
-            throw error;
-        }
+// Rolling conversation summaries written by the context manager
+const sessionSummaryStore = {
+    get(sessionId) {
+        const row = getSessionSummary.get(sessionId);
+        return row ? { summary: row.summary, coveredCount: row.covered_count } : null;
+    },
+
+    save(sessionId, { summary, coveredCount }) {
+        upsertSessionSummary.run(sessionId, summary, coveredCount);
     }
+};
 
-    async transcribeAudio(audioFilePath) {
-        try {
-            // IONOS AI Model Hub doesn't support audio transcription yet
-            // Return a placeholder message
-            console.log('IONOS AI Model Hub does not support audio transcription. Using placeholder.');
-            return "I heard your voice input. Please type your message or use text input for now.";
-        } catch (error) {
-            console.error('Error transcribing audio:', error.response?.data || error.message);
-            throw new Error('Audio transcription not available on IONOS AI Model Hub.');
-        }
+// Every reply the response guard looked at, with the rules it tripped
+const responseCheckStore = {
+    record({ route, provider, flags, action }) {
+        insertResponseCheck.run(route, provider, flags.map(flag => flag.rule).join(','), action);
     }
+};
 
-    async getChatCompletion(messages, model = 'meta-llama/Meta-Llama-3.1-8B-Instruct') {
-        try {
-            // Use a valid IONOS AI model
-            const validModel = model === 'gpt-3.5-turbo' ? 'meta-llama/Meta-Llama-3.1-8B-Instruct' : model;
-
-            const response = await axios.post(`${this.baseURL}/chat/completions`, {
-                model: validModel,
-                messages,
-                max_tokens: 150,
-                temperature: 0.7
-            }, {
-                headers: this.headers
-            });
+// Private supervisor notes written from the observer namespace
+const observerNotesStore = {
+    add(sessionId, author, note) {
+        const { lastInsertRowid } = insertObserverNote.run(sessionId, author, note);
+        return { id: Number(lastInsertRowid), sessionId, author, note, createdAt: new Date().toISOString() };
+    },
 
-            return response.data.choices[0].message.content;
-        } catch (error) {
-            console.error('Error getting chat completion:', error.response?.data || error.message);
-            throw error;
-        }
+    list(sessionId) {
+        return getObserverNotes.all(sessionId).map(row => ({
+            id: row.id,
+            sessionId: row.session_id,
+            author: row.author,
+            note: row.note,
+            createdAt: row.created_at
+        }));
     }
-}
+};
+
+// Finished ElevenLabs ConvAI conversations; a re-sync replaces the stored transcript
+const convaiTranscriptStore = {
+    save: db.transaction(({ sessionId, agentId, scenario, status, startedAt, durationSecs, metadata, turns }) => {
+        upsertSessionAt.run(sessionId, scenario, startedAt);
+        deleteSessionTurns.run(sessionId);
+        for (const turn of turns) {
+            insertTurnAt.run(sessionId, turn.speaker, turn.message, turn.timestamp);
+        }
+        upsertConvaiConversation.run(sessionId, agentId, status, durationSecs, JSON.stringify(metadata));
+    })
+};
 
 class ElevenLabsService {
     constructor() {
         this.apiKey = process.env.ELEVEN_LABS_API_KEY;
         this.voiceId = process.env.ELEVEN_LABS_VOICE_ID;
         this.agentId = process.env.ELEVEN_LABS_AGENT_ID;
-    }
-
-    async conversationWithAgent(message, conversationId = null) {
-        try {
-            // First try the WebSocket agent approach
-            const agentResponse = await this.chatWithAgent(message, conversationId);
-
-            console.log('Agent response received:', agentResponse.response);
-
-            // Generate TTS for the agent response if no audio URL provided
-            if (agentResponse.audioUrl) {
-                // Agent provided audio directly
-                return {
-                    fileName: agentResponse.audioUrl.split('/').pop(),
-                    filePath: join(__dirname, 'audio', agentResponse.audioUrl.split('/').pop()),
-                    text: agentResponse.response,
-                    conversationId: agentResponse.conversationId
-                };
-            } else {
-                // Generate TTS for the text response
-                const fileName = `${Date.now()}.mp3`;
-                const audioUrl = await this.generateSpeech(agentResponse.response);
-
-                return {
-                    fileName: audioUrl.split('/').pop(),
-                    filePath: join(__dirname, 'audio', audioUrl.split('/').pop()),
-                    text: agentResponse.response,  // Use actual agent response, not input message
-                    conversationId: agentResponse.conversationId
-                };
-            }
-        } catch (error) {
-            console.error('Error with ElevenLabs agent conversation:', error.message);
-            // Fallback to regular TTS with original message
-            return await this.textToSpeech(message);
-        }
+        this.convai = new ConvAIConnectionManager({ apiKey: this.apiKey, agentId: this.agentId });
     }
 
     async textToSpeech(text) {
         try {
-            const fileName = `${Date.now()}.mp3`;
+            const fileName = uniqueAudioFileName('mp3');
             const filePath = join(__dirname, 'audio', fileName);
 
             const audioStream = await voice.textToSpeechStream(this.apiKey, this.voiceId, text);
@@ -238,171 +355,53 @@ class ElevenLabsService {
     }
 
     async chatWithAgent(message, conversationId = null) {
-        return new Promise((resolve, reject) => {
-            // Create WebSocket connection to ElevenLabs agent
-            let wsUrl = `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${this.agentId}`;
-
-            // Since ElevenLabs ignores conversation_id parameter, we'll include conversation history in the message
-            let contextualMessage = message;
-
-            if (conversationId && conversations.has(conversationId)) {
-                const conversationHistory = conversations.get(conversationId);
-                // Include last few exchanges for context
-                const recentHistory = conversationHistory.slice(-4); // Last 2 exchanges (user + assistant)
-                if (recentHistory.length > 0) {
-                    const contextPrefix = "Context from our conversation:\n" +
-                        recentHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n') +
-                        "\n\nCurrent message: ";
-                    contextualMessage = contextPrefix + message;
-                }
-                console.log('Continuing conversation with context:', conversationId);
-            } else {
-                console.log('Starting new conversation');
-            }
-
-            console.log('Connecting to ElevenLabs agent via WebSocket:', wsUrl);
-
-            const ws = new WebSocket(wsUrl, {
-                headers: {
-                    'xi-api-key': this.apiKey
-                }
-            });
-
-            let responseReceived = false;
-            let audioData = null;
-            let agentTextResponse = null;
-            let responseConversationId = null;
+        // conversationId is our stable key for the agent session; the socket behind it may be reopened
+        const sessionKey = conversationId || `convai_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
-            const timeout = setTimeout(() => {
-                if (!responseReceived) {
-                    ws.close();
-                    this.handleFallback(message, conversationId, resolve);
-                }
-            }, 15000); // Increased timeout since we're waiting for multiple events
-
-            ws.on('open', () => {
-                console.log('Connected to ElevenLabs agent');
-
-                // Send the message to the agent using correct ElevenLabs format
-                const messageData = {
-                    type: 'user_message',
-                    user_message: {
-                        text: contextualMessage
-                    }
-                };
-
-                console.log('Sending message to agent:', messageData);
-                ws.send(JSON.stringify(messageData));
-            });
-
-            ws.on('message', (data) => {
-                try {
-                    const response = JSON.parse(data.toString());
-                    console.log('Agent response:', response);
-
-                    // Handle conversation initiation metadata
-                    if (response.type === 'conversation_initiation_metadata') {
-                        responseConversationId = response.conversation_initiation_metadata_event?.conversation_id;
-                        console.log('Conversation initialized with ID:', responseConversationId);
-                        // Don't close connection, wait for actual agent response
-                        return;
-                    }
-
-                    // Handle audio response events (store audio data but don't resolve yet)
-                    if (response.type === 'audio' && response.audio_event) {
-                        audioData = response.audio_event.audio_base64 ? 'data:audio/wav;base64,' + response.audio_event.audio_base64 : null;
-                        // Don't resolve yet, wait for text response
-                        return;
-                    }
-
-                    // Handle agent text response (this is what we want for display)
-                    if (response.type === 'agent_response' && response.agent_response_event) {
-                        agentTextResponse = response.agent_response_event.agent_response;
-
-                        // Now we have the text response, resolve with it
-                        if (agentTextResponse && agentTextResponse.trim() !== '') {
-                            responseReceived = true;
-                            clearTimeout(timeout);
-                            ws.close();
-
-                            // Store conversation history
-                            const finalConversationId = responseConversationId || conversationId || Date.now().toString();
-                            if (!conversations.has(finalConversationId)) {
-                                conversations.set(finalConversationId, []);
-                            }
-                            const history = conversations.get(finalConversationId);
-                            history.push({ role: 'user', content: message });
-                            history.push({ role: 'assistant', content: agentTextResponse });
-
-                            // Keep only last 10 messages (5 exchanges) to prevent memory bloat
-                            if (history.length > 10) {
-                                conversations.set(finalConversationId, history.slice(-10));
-                            }
-
-                            resolve({
-                                response: agentTextResponse,
-                                conversationId: finalConversationId,
-                                sessionId: Date.now().toString(),
-                                messageCount: 1,
-                                audioUrl: audioData
-                            });
-                        } else {
-                            // If no proper text response, fall back
-                            responseReceived = true;
-                            clearTimeout(timeout);
-                            ws.close();
-                            this.handleFallback(message, conversationId, resolve);
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error parsing agent response:', error);
-                }
-            });
+        try {
+            const result = await this.convai.sendUserMessage(sessionKey, message);
+            if (!result.text.trim()) {
+                throw new Error('Empty response from ElevenLabs agent');
+            }
 
-            ws.on('error', (error) => {
-                console.error('WebSocket error:', error);
-                clearTimeout(timeout);
-                this.handleFallback(message, conversationId, resolve);
-            });
+            // Store conversation history for the IONOS fallback
+            const turnId = rememberExchange(sessionKey, message, result.text);
 
-            ws.on('close', () => {
-                console.log('WebSocket connection closed');
-                clearTimeout(timeout);
-                if (!responseReceived) {
-                    this.handleFallback(message, conversationId, resolve);
-                }
-            });
-        });
+            const audioFileName = await this.saveAgentAudio(result.audio, result.audioFormat);
+            return {
+                response: result.text,
+                conversationId: sessionKey,
+                agentConversationId: result.conversationId,
+                turnId,
+                sessionId: Date.now().toString(),
+                messageCount: 1,
+                audioFileName,
+                audioUrl: audioFileName ? `/api/audio/${audioFileName}` : null
+            };
+        } catch (error) {
+            console.error('ElevenLabs agent error:', error.message);
+            throw error;
+        }
     }
 
-    async handleFallback(message, conversationId, resolve) {
+    // Write every audio chunk of an agent reply to one playable file; null when the agent sent none
+    async saveAgentAudio(chunks, outputFormat) {
+        if (chunks.length === 0) return null;
+
         try {
-            console.log('Using IONOS AI fallback');
-            const messages = [
-                { role: 'system', content: 'You are a helpful voice assistant. Keep responses concise and conversational.' },
-                { role: 'user', content: message }
-            ];
-            const fallbackResponse = await ionosAI.getChatCompletion(messages);
-            resolve({
-                response: fallbackResponse,
-                conversationId: conversationId || Date.now().toString(),
-                sessionId: Date.now().toString(),
-                messageCount: 1
-            });
-        } catch (fallbackError) {
-            console.error('Fallback also failed:', fallbackError);
-            resolve({
-                response: `I'm having trouble connecting right now. Please try again.`,
-                conversationId: conversationId || Date.now().toString(),
-                sessionId: Date.now().toString(),
-                messageCount: 1
-            });
+            const { data, extension } = encodeAudioChunks(chunks, outputFormat);
+            const fileName = uniqueAudioFileName(extension);
+            await fs.promises.writeFile(join(__dirname, 'audio', fileName), data);
+            return fileName;
+        } catch (error) {
+            console.error('Failed to save agent audio:', error.message);
+            return null;
         }
     }
 
-    async generateSpeech(text) {
+    async generateSpeech(text, { signal, onFirstByte } = {}) {
         try {
-            const fileName = `${Date.now()}.mp3`;
+            const fileName = uniqueAudioFileName('mp3');
             const filePath = join(__dirname, 'audio', fileName);
 
             // Use a default voice ID if not set
@@ -424,13 +423,18 @@ class ElevenLabsService {
                     'Accept': 'audio/mpeg'
                 },
                 responseType: 'stream',
-                timeout: 15000
+                timeout: 15000,
+                signal
             });
 
             if (!response.data) {
                 throw new Error('No audio stream returned from ElevenLabs');
             }
 
+            if (onFirstByte) {
+                response.data.once('data', onFirstByte);
+            }
+
             return new Promise((resolve, reject) => {
                 const fileWriteStream = fs.createWriteStream(filePath);
                 response.data.pipe(fileWriteStream);
@@ -443,43 +447,318 @@ class ElevenLabsService {
             });
 
         } catch (error) {
+            // Cancelled by the caller, not a failure worth retrying
+            if (signal?.aborted) throw error;
+
             console.error('Error generating speech:', error);
             // Try using the fallback textToSpeech method
             try {
-                return await this.textToSpeech(text);
+                const { fileName } = await this.textToSpeech(text);
+                return `/api/audio/${fileName}`;
             } catch (fallbackError) {
                 console.error('Fallback TTS also failed:', fallbackError);
                 throw error;
             }
         }
     }
+
+    // Raw 16 kHz 16-bit mono PCM for pipelines that play audio themselves (telephony)
+    async generatePcmSpeech(text, { signal, onFirstByte } = {}) {
+        try {
+            const voiceId = this.voiceId || 'pNInz6obpgDQGcFmaJgB';
+
+            const response = await axios.post(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+                text: text,
+                voice_settings: {
+                    stability: 0.5,
+                    similarity_boost: 0.8
+                }
+            }, {
+                params: { output_format: `pcm_${PCM_SAMPLE_RATE}` },
+                headers: {
+                    'xi-api-key': this.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                responseType: 'stream',
+                timeout: 15000,
+                signal
+            });
+
+            if (onFirstByte) {
+                response.data.once('data', onFirstByte);
+            }
+
+            const chunks = [];
+            for await (const chunk of response.data) {
+                chunks.push(chunk);
+            }
+            return Buffer.concat(chunks);
+        } catch (error) {
+            if (!signal?.aborted) {
+                console.error('Error generating PCM speech:', error.response?.status || error.message);
+            }
+            throw error;
+        }
+    }
 }
 
-const ionosAI = new IONOSAIService();
+const llmProviders = createLLMProviders();
+const modelCatalog = new ModelCatalog(llmProviders, {
+    limits: resolveGenerationLimits(),
+    refreshIntervalMs: parseInt(process.env.MODEL_CATALOG_REFRESH_MS ?? '600000')
+});
 const elevenLabs = new ElevenLabsService();
+const convaiSync = new ConvAITranscriptSync({
+    apiKey: process.env.ELEVEN_LABS_API_KEY,
+    webhookSecret: process.env.ELEVEN_LABS_WEBHOOK_SECRET,
+    store: convaiTranscriptStore
+});
+const sttProvider = createSTTProvider();
 
 // In-memory conversation storage (in production, use Redis or database)
 const conversations = new Map();
 
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful voice assistant. Keep responses concise and conversational.';
+
+// Assistant tools for the text chat routes; TOOLS_ENABLED=false or `tools: false` in a request turns them off
+const TOOLS_ENABLED = process.env.TOOLS_ENABLED !== 'false';
+const TOOL_SPEAKERS = ['tool_call', 'tool_result'];
+const assistantTools = registerBuiltinTools(new ToolRegistry(), {
+    notesDir: process.env.NOTES_DIR || join(__dirname, 'notes')
+});
+const toolLoop = new ToolCallingLoop(assistantTools, {
+    maxSteps: parseInt(process.env.TOOL_MAX_STEPS ?? '4'),
+    // Models the catalog knows to lack tool support get the text protocol
+    supportsNativeTools: (provider, model) =>
+        modelCatalog.find(provider.name, provider.resolveModel(model))?.capabilities.tools !== false
+});
+
+// Agent-chat sessions store each tool call as a tool_call and a tool_result turn; the other
+// routes keep them on the reply in their in-memory history (rememberExchange)
+function rememberToolCalls(sessionId, toolCalls = []) {
+    if (!sessionId || toolCalls.length === 0) return;
+
+    try {
+        for (const { name, arguments: args, result, error } of toolCalls) {
+            insertTurn.run(sessionId, 'tool_call', JSON.stringify({ name, arguments: args }));
+            insertTurn.run(sessionId, 'tool_result', JSON.stringify(error ? { name, error } : { name, result }));
+        }
+    } catch (dbError) {
+        console.warn('Failed to save tool calls to database:', dbError.message);
+    }
+}
+const CANNED_REPLY = "I'm having trouble connecting right now. Please try again.";
+
+const responseGuard = new ResponseGuard({ ...resolveGuardOptions(), store: responseCheckStore });
+
+// Token-budgeted message lists for every LLM call; older turns are summarized by the default provider
+const contextManager = new ContextManager({
+    summarize: (messages) => llmProviders.get().getChatCompletion(messages, undefined, { maxTokens: 300 }),
+    store: sessionSummaryStore,
+    budgetTokens: parseInt(process.env.CONTEXT_TOKEN_BUDGET ?? '3000'),
+    keepRecentMessages: parseInt(process.env.CONTEXT_RECENT_MESSAGES ?? '6')
+});
+
+// instant-chat, /chat and the agent fallback keep bare history arrays in `conversations`;
+// agent-chat sessions are objects with their own `messages` and are left alone here
+function conversationHistory(conversationId) {
+    const stored = conversationId ? conversations.get(conversationId) : null;
+    return Array.isArray(stored) ? stored : [];
+}
+
+// Names one assistant reply so a later interruption report can't land on a newer one
+function newTurnId() {
+    return `turn_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+// -> turnId of the stored reply
+function rememberExchange(conversationId, userText, assistantText, { turnId = newTurnId(), interrupted = false, toolCalls = [] } = {}) {
+    if (!conversations.has(conversationId)) {
+        conversations.set(conversationId, []);
+    }
+    const history = conversations.get(conversationId);
+    if (!Array.isArray(history)) return null;
+
+    contextManager.append(conversationId, history,
+        { role: 'user', content: userText },
+        { role: 'assistant', content: assistantText, turnId, ...(interrupted && { interrupted }), ...(toolCalls.length > 0 && { toolCalls }) });
+    return turnId;
+}
+
+async function buildChatMessages({ sessionId, conversationId, systemPrompt = DEFAULT_SYSTEM_PROMPT, history = [], message, generation = {} }, model) {
+    return contextManager.build({ sessionId: sessionId || conversationId, model, systemPrompt, history, message, responseTokens: generation.maxTokens });
+}
+
+// The request's own provider/model, then its scenario's `llm`, then LLM_PROVIDER and that provider's default model
+function selectLLM({ provider, model, scenario } = {}) {
+    const scenarioLLM = SCENARIOS[scenario]?.llm || {};
+    const useScenario = !provider || provider === scenarioLLM.provider;
+
+    return llmProviders.resolve({
+        provider: provider || scenarioLLM.provider,
+        model: model || (useScenario ? scenarioLLM.model : null)
+    });
+}
+
+// Session scoring prefers a larger model; EVALUATION_LLM_PROVIDER / EVALUATION_MODEL override it
+function evaluationLLM() {
+    const provider = process.env.EVALUATION_LLM_PROVIDER || llmProviders.defaultName;
+    const model = process.env.EVALUATION_MODEL || (provider === 'ionos' ? 'meta-llama/Meta-Llama-3.1-405B-Instruct-FP8' : null);
+    return llmProviders.resolve({ provider, model });
+}
+
+// Provider, model and generation parameters of a chat request body, checked against the model
+// catalog and the server's limits; -> { provider, model, generation } or { error }
+function parseLLMRequest(body, scenario) {
+    try {
+        if (body.provider && !llmProviders.has(body.provider)) {
+            throw new GenerationParamsError(`Unknown LLM provider ${body.provider}; configured: ${llmProviders.names().join(', ')}`);
+        }
+
+        const { provider, model } = selectLLM({ provider: body.provider, model: body.model, scenario });
+        const generation = modelCatalog.validate(provider, model, body);
+        return { provider: provider.name, model, generation, useTools: TOOLS_ENABLED && body.tools !== false };
+    } catch (error) {
+        if (error instanceof GenerationParamsError) {
+            return { error: error.message };
+        }
+        throw error;
+    }
+}
+
+// A fallback step answered by an LLM provider; `select` picks provider and model per request
+function llmStep(select) {
+    return {
+        label: (request) => {
+            try {
+                return select(request).provider.name;
+            } catch {
+                return null;
+            }
+        },
+        unavailableReason: (request) => {
+            try {
+                return select(request).provider.unavailableReason();
+            } catch (error) {
+                return error.message;
+            }
+        },
+        async respond(request, { signal }) {
+            const { provider, model } = select(request);
+            const messages = await buildChatMessages(request, model);
+            if (!request.useTools) {
+                return { text: await provider.getChatCompletion(messages, model, { signal, ...request.generation }), model };
+            }
+
+            const { text, toolCalls } = await toolLoop.run(provider, messages, model, {
+                signal,
+                generation: request.generation,
+                context: { sessionId: request.sessionId || request.conversationId }
+            });
+            return { text, model, toolCalls };
+        },
+        async stream(request, { signal, onDelta }) {
+            const { provider, model } = select(request);
+            const messages = await buildChatMessages(request, model);
+            if (request.useTools) {
+                const { text, toolCalls } = await toolLoop.run(provider, messages, model, {
+                    signal,
+                    onDelta,
+                    generation: request.generation,
+                    context: { sessionId: request.sessionId || request.conversationId }
+                });
+                return { text, model, toolCalls };
+            }
+
+            let text = '';
+            for await (const delta of provider.streamChatCompletion(messages, model, { signal, ...request.generation })) {
+                text += delta;
+                onDelta(delta);
+            }
+            return { text, model };
+        }
+    };
+}
+
+// Providers for the per-route fallback policies in fallback-chain.js
+const fallbackChain = new FallbackChain({
+    agent: {
+        unavailableReason: () => (process.env.ELEVEN_LABS_API_KEY && process.env.ELEVEN_LABS_AGENT_ID ? null : 'ElevenLabs agent not configured'),
+        async respond({ message, agentMessage, conversationId }) {
+            const reply = await elevenLabs.chatWithAgent(agentMessage || message, conversationId);
+            return {
+                text: reply.response,
+                conversationId: reply.conversationId,
+                agentConversationId: reply.agentConversationId,
+                audioFileName: reply.audioFileName,
+                turnId: reply.turnId
+            };
+        }
+    },
+    llm: llmStep(selectLLM),
+    // Named steps use that provider, with the request's model only if the request picked it
+    ...Object.fromEntries(['ionos', 'openai', 'local', 'ollama', 'mock'].map(name => [
+        name,
+        llmStep(({ provider, model }) => llmProviders.resolve({ provider: name, model: provider === name ? model : null }))
+    ])),
+    canned: {
+        guarded: false,
+        async respond() {
+            return { text: CANNED_REPLY };
+        }
+    }
+}, { guard: responseGuard });
+
 // Real-time voice processing class
 class RealTimeVoiceProcessor {
-    constructor(io, elevenLabs) {
+    constructor(io, { elevenLabs, sttProvider, llm, metricsStore, responseGuard = null, contextManager = null, observers = null }) {
         this.io = io;
+        this.observers = observers;
         this.elevenLabs = elevenLabs;
-        this.activeConnections = new Map();
+        this.sttProvider = sttProvider;
+        this.llm = llm;
+        this.metricsStore = metricsStore;
+        this.responseGuard = responseGuard;
+        this.contextManager = contextManager;
+        this.partialIntervalMs = parseInt(process.env.STT_PARTIAL_INTERVAL_MS ?? '1000');
+        this.resumeGraceMs = parseInt(process.env.VOICE_SESSION_GRACE_MS ?? '30000');
+
+        // Sessions are keyed by sessionId and outlive their socket for resumeGraceMs,
+        // so a client that reconnects can reattach with its resume token
+        this.sessions = new Map();
+        this.activeConnections = new Map(); // socket.id -> sessionId
+
+        this.limits = resolveSessionLimits();
+        this.reaper = setInterval(() => this.reapIdleSessions(), this.limits.reapIntervalMs);
+        this.reaper.unref();
+
         this.setupSocketHandlers();
     }
 
     setupSocketHandlers() {
         this.io.on('connection', (socket) => {
             console.log(`Client connected: ${socket.id}`);
+            const chunkRate = new TokenBucket(this.limits.chunksPerSecond, this.limits.chunkBurst);
 
             socket.on('start-voice-session', (data) => {
-                this.startVoiceSession(socket, data);
+                this.startVoiceSession(socket, data && typeof data === 'object' ? data : {});
             });
 
             socket.on('audio-chunk', (data) => {
-                this.processAudioChunk(socket, data);
+                if (!chunkRate.tryRemove()) {
+                    this.notifyLimit(socket, 'rate', `audio-chunk rate above ${this.limits.chunksPerSecond}/s, chunk dropped`);
+                    return;
+                }
+                this.processAudioChunk(socket, data).catch(error => {
+                    console.error('Failed to process audio chunk:', error.message);
+                });
+            });
+
+            socket.on('barge-in', (data) => {
+                const session = this.getSession(socket);
+                if (session && data && typeof data === 'object') {
+                    session.pipeline.interrupt(data.turnId, data.spokenText);
+                }
             });
 
             socket.on('end-voice-session', () => {
@@ -488,155 +767,354 @@ class RealTimeVoiceProcessor {
 
             socket.on('disconnect', () => {
                 console.log(`Client disconnected: ${socket.id}`);
-                this.endVoiceSession(socket);
+                this.detachSession(socket);
             });
         });
     }
 
-    startVoiceSession(socket, data) {
+    getSession(socket) {
+        return this.sessions.get(this.activeConnections.get(socket.id));
+    }
+
+    // Deliver to the attached socket, or hold the event until the client resumes
+    emitToSession(session, event, payload) {
+        this.observers?.publishVoiceEvent(session.sessionId, event, payload);
+
+        if (session.socket) {
+            session.socket.emit(event, payload);
+        } else {
+            session.pendingEvents.push({ event, payload });
+            if (session.pendingEvents.length > this.limits.maxPendingEvents) {
+                session.pendingEvents.shift();
+            }
+        }
+    }
+
+    // Tell the client which limit it hit, at most once per second per limit
+    notifyLimit(socket, limit, message, { closed = false } = {}) {
+        const notices = socket.data.limitNotices ??= {};
+        const now = Date.now();
+        if (!closed && now - (notices[limit] || 0) < 1000) return;
+        notices[limit] = now;
+
+        socket.emit('session-limit', {
+            sessionId: this.activeConnections.get(socket.id) ?? null,
+            limit,
+            message,
+            closed
+        });
+        console.warn(`Session limit (${limit}) for ${socket.id}: ${message}`);
+    }
+
+    startVoiceSession(socket, data = {}) {
+        // A client-supplied sessionId only ever resumes; it never names a new session
+        const existing = data.sessionId && this.sessions.get(data.sessionId);
+        if (existing) {
+            this.resumeVoiceSession(socket, existing, data.resumeToken);
+            return;
+        }
+
+        // Clients declare their wire format up front so audio-chunk is never guessed at
+        let audioFormat;
+        try {
+            audioFormat = resolveAudioFormat(data.audioFormat, SUPPORTED_ENCODINGS);
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+            return;
+        }
+
+        // A repeated handshake on the same socket replaces its previous session
+        const previous = this.getSession(socket);
+        if (previous) {
+            this.closeSession(previous, { cancel: true });
+        }
+
+        if (this.sessions.size >= this.limits.maxSessions) {
+            this.notifyLimit(socket, 'sessions', 'Too many active voice sessions, try again later', { closed: true });
+            return;
+        }
+
+        const sessionId = `voice_${Date.now()}_${Math.random().toString(36).substring(7)}`;
         const sessionData = {
-            sessionId: data.sessionId || `voice_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-            conversationId: data.conversationId,
+            sessionId,
+            resumeToken: randomUUID(),
+            socket,
+            pendingEvents: [],
+            expiryTimer: null,
+            conversationId: data.conversationId || sessionId,
+            audioFormat,
+            decoder: createAudioDecoder(audioFormat),
             audioChunks: [],
+            bufferedBytes: 0,
             isRecording: false,
             lastActivity: Date.now(),
-            vad: {
-                silenceThreshold: 500, // ms
-                speechThreshold: 800,  // ms
-                silenceStart: null,
-                speechStart: null,
-                isProcessing: false
-            }
+            vad: new VoiceActivityDetector(data.vad, audioFormat.sampleRate),
+            utteranceId: 0,
+            partial: { inFlight: false, lastAt: 0 },
+            pipeline: new VoicePipeline({
+                sessionId,
+                stt: this.sttProvider,
+                llm: this.llm,
+                tts: this.elevenLabs,
+                metricsStore: this.metricsStore,
+                responseGuard: this.responseGuard,
+                guardContext: { route: 'voice', provider: this.llm.name },
+                contextManager: this.contextManager,
+                sampleRate: audioFormat.sampleRate,
+                emit: (event, payload) => this.emitToSession(sessionData, event, {
+                    ...payload,
+                    conversationId: sessionData.conversationId
+                })
+            })
         };
 
-        this.activeConnections.set(socket.id, sessionData);
-
-        socket.emit('voice-session-started', {
-            sessionId: sessionData.sessionId,
-            message: 'Voice session ready - start speaking!'
-        });
+        this.sessions.set(sessionId, sessionData);
+        this.activeConnections.set(socket.id, sessionId);
 
-        console.log(`Voice session started: ${sessionData.sessionId}`);
+        socket.emit('voice-session-started', this.describeSession(sessionData, false));
+        console.log(`Voice session started: ${sessionData.sessionId} (${audioFormat.encoding})`);
     }
 
-    async processAudioChunk(socket, audioData) {
-        const session = this.activeConnections.get(socket.id);
-        if (!session) return;
+    // Reattach a reconnected socket to its buffered audio, conversation and pending responses
+    resumeVoiceSession(socket, session, resumeToken) {
+        // The client drops its ids and starts a fresh handshake
+        if (resumeToken !== session.resumeToken) {
+            socket.emit('voice-session-rejected', {
+                sessionId: session.sessionId,
+                message: 'Invalid resume token for voice session'
+            });
+            return;
+        }
 
-        session.lastActivity = Date.now();
+        clearTimeout(session.expiryTimer);
+        session.expiryTimer = null;
+
+        // The old socket may not have noticed it is gone yet
+        if (session.socket && session.socket !== socket) {
+            this.activeConnections.delete(session.socket.id);
+        }
 
-        // Add audio chunk to buffer
-        session.audioChunks.push(audioData);
+        session.socket = socket;
+        session.lastActivity = Date.now();
+        this.activeConnections.set(socket.id, session.sessionId);
 
-        // Simple voice activity detection based on data presence
-        const hasAudio = audioData && audioData.length > 0;
+        socket.emit('voice-session-started', this.describeSession(session, true));
 
-        if (hasAudio && !session.isRecording) {
-            // Speech started
-            session.isRecording = true;
-            session.vad.speechStart = Date.now();
-            socket.emit('speech-detected');
-            console.log(`Speech detected: ${session.sessionId}`);
+        const pending = session.pendingEvents;
+        session.pendingEvents = [];
+        for (const { event, payload } of pending) {
+            socket.emit(event, payload);
         }
 
-        if (!hasAudio && session.isRecording) {
-            // Potential silence
-            if (!session.vad.silenceStart) {
-                session.vad.silenceStart = Date.now();
-            }
+        console.log(`Voice session resumed: ${session.sessionId} (${pending.length} pending events)`);
+    }
 
-            // Check if silence duration exceeded threshold
-            const silenceDuration = Date.now() - session.vad.silenceStart;
-            if (silenceDuration > session.vad.silenceThreshold && !session.vad.isProcessing) {
-                await this.processSpeechEnd(socket, session);
-            }
-        } else if (hasAudio) {
-            // Reset silence detection
-            session.vad.silenceStart = null;
-        }
+    describeSession(session, resumed) {
+        return {
+            sessionId: session.sessionId,
+            resumeToken: session.resumeToken,
+            resumed,
+            conversationId: session.conversationId,
+            codec: session.audioFormat.encoding,
+            audioFormat: session.audioFormat,
+            vad: session.vad.options,
+            message: resumed ? 'Voice session resumed' : 'Voice session ready - start speaking!'
+        };
     }
 
-    async processSpeechEnd(socket, session) {
-        if (session.vad.isProcessing || session.audioChunks.length === 0) return;
+    // Keep the session around for a grace period so a flaky connection can resume it
+    detachSession(socket) {
+        const session = this.getSession(socket);
+        this.activeConnections.delete(socket.id);
+        if (!session || session.socket !== socket) return;
 
-        session.vad.isProcessing = true;
-        session.isRecording = false;
+        session.socket = null;
+        session.expiryTimer = setTimeout(() => {
+            console.log(`Voice session expired: ${session.sessionId}`);
+            this.closeSession(session, { cancel: true });
+        }, this.resumeGraceMs);
 
-        console.log(`Processing speech for session: ${session.sessionId}`);
+        console.log(`Voice session detached: ${session.sessionId} (resumable for ${this.resumeGraceMs}ms)`);
+    }
 
-        try {
-            socket.emit('processing-audio');
+    async processAudioChunk(socket, audioData) {
+        const session = this.getSession(socket);
+        if (!session || !audioData) return;
 
-            // Combine audio chunks into a single buffer
-            const audioBuffer = Buffer.concat(session.audioChunks.map(chunk =>
-                Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
-            ));
+        session.lastActivity = Date.now();
 
-            // Save as temporary audio file
-            const fileName = `temp_${Date.now()}.wav`;
-            const filePath = join(__dirname, 'audio', fileName);
+        // Size the raw payload before anything is converted
+        if (audioData.byteLength > this.limits.maxChunkBytes) {
+            this.notifyLimit(socket, 'chunk-size', `audio-chunk larger than ${this.limits.maxChunkBytes} bytes, chunk dropped`);
+            return;
+        }
+
+        const chunk = toBuffer(audioData);
+        if (!chunk) {
+            console.warn('Ignoring audio-chunk that is not binary data');
+            return;
+        }
+
+        let pcm;
+        try {
+            pcm = session.decoder.decode(chunk);
+        } catch (error) {
+            // A corrupt packet costs one frame of audio, not the session
+            console.warn('Failed to decode audio chunk:', error.message);
+            return;
+        }
 
-            // Create a simple WAV header and write audio data
-            await this.saveAudioBuffer(audioBuffer, filePath);
+        const events = session.vad.process(pcm);
+        this.handleVadEvents(session, events);
+        this.enforceBufferLimit(session);
+    }
 
-            // For now, simulate transcription (replace with actual speech-to-text)
-            const transcription = "I'm speaking to the voice assistant";
+    // Cut an utterance short and answer what we have rather than buffer without bound
+    enforceBufferLimit(session) {
+        if (!session.isRecording) return;
 
-            if (transcription.toLowerCase().includes('assistant') || true) {
-                // Send to ElevenLabs agent
-                const agentResponse = await this.elevenLabs.conversationWithAgent(
-                    transcription,
-                    session.conversationId
-                );
+        const bufferedMs = session.bufferedBytes / (session.audioFormat.sampleRate * 2) * 1000;
+        if (session.bufferedBytes <= this.limits.maxBufferedBytes && bufferedMs <= this.limits.maxBufferedMs) return;
 
-                // Update session
-                session.conversationId = agentResponse.conversationId;
+        this.notifyLimit(session.socket, 'buffer', `Utterance exceeded ${this.limits.maxBufferedMs}ms of buffered audio and was cut off`);
+        this.handleVadEvents(session, session.vad.flush('buffer-limit'));
+    }
 
-                // Stream response back to client
-                socket.emit('agent-response', {
-                    transcription: transcription,
-                    response: agentResponse.text,
-                    audioUrl: `/api/audio/${agentResponse.fileName}`,
-                    conversationId: agentResponse.conversationId
-                });
+    // Close attached sessions that have stopped sending audio; detached ones expire on their own timer
+    reapIdleSessions() {
+        const cutoff = Date.now() - this.limits.idleTimeoutMs;
 
-                console.log(`Agent response sent for session: ${session.sessionId}`);
-            }
+        for (const session of this.sessions.values()) {
+            if (!session.socket || session.lastActivity > cutoff || session.pipeline.isBusy) continue;
 
-            // Clean up
-            fs.unlink(filePath, () => {});
-            session.audioChunks = [];
+            this.notifyLimit(session.socket, 'idle', `No audio for ${this.limits.idleTimeoutMs}ms, voice session closed`, { closed: true });
+            this.closeSession(session, { cancel: true });
+        }
+    }
 
-        } catch (error) {
-            console.error('Error processing speech:', error);
-            socket.emit('error', { message: 'Failed to process speech' });
-        } finally {
-            session.vad.isProcessing = false;
+    handleVadEvents(session, events) {
+        for (const event of events) {
+            if (event.type === 'speech-start') {
+                session.isRecording = true;
+                session.utteranceId++;
+                session.partial.lastAt = Date.now();
+                session.audioChunks = [event.audio];
+                session.bufferedBytes = event.audio.length;
+                this.emitToSession(session, 'speech-started', { sessionId: session.sessionId, timestamp: Date.now() });
+                console.log(`Speech detected: ${session.sessionId}`);
+            } else if (event.type === 'speech') {
+                session.audioChunks.push(event.audio);
+                session.bufferedBytes += event.audio.length;
+                this.emitPartialTranscript(session);
+            } else if (event.type === 'speech-end') {
+                session.isRecording = false;
+                this.emitToSession(session, 'speech-ended', {
+                    sessionId: session.sessionId,
+                    durationMs: event.durationMs,
+                    reason: event.reason
+                });
+                this.processSpeechEnd(session);
+            }
         }
     }
 
-    async saveAudioBuffer(buffer, filePath) {
-        return new Promise((resolve, reject) => {
-            fs.writeFile(filePath, buffer, (err) => {
-                if (err) reject(err);
-                else resolve();
+    // Re-transcribe the growing utterance at most once per interval, one request at a time
+    emitPartialTranscript(session) {
+        if (!(this.partialIntervalMs > 0) || session.partial.inFlight) return;
+        if (Date.now() - session.partial.lastAt < this.partialIntervalMs) return;
+
+        const utteranceId = session.utteranceId;
+        session.partial.inFlight = true;
+        session.partial.lastAt = Date.now();
+
+        this.sttProvider.transcribePartial(Buffer.concat(session.audioChunks), session.audioFormat.sampleRate)
+            .then((text) => {
+                // Drop results that arrive after the utterance was finalized
+                if (text && session.isRecording && session.utteranceId === utteranceId) {
+                    this.emitToSession(session, 'transcript-partial', {
+                        sessionId: session.sessionId,
+                        utteranceId,
+                        text
+                    });
+                }
+            })
+            .catch((error) => {
+                console.error('Partial transcription failed:', error.message);
+            })
+            .finally(() => {
+                session.partial.inFlight = false;
+            });
+    }
+
+    processSpeechEnd(session) {
+        const utteranceId = session.utteranceId;
+        const audioChunks = session.audioChunks;
+        session.audioChunks = [];
+        session.bufferedBytes = 0;
+
+        if (audioChunks.length === 0) return;
+
+        console.log(`Processing speech for session: ${session.sessionId}`);
+
+        session.pipeline.runTurn(Buffer.concat(audioChunks), { utteranceId, speechEndedAt: Date.now() })
+            .then((result) => {
+                if (result) {
+                    console.log(`Agent response sent for session: ${session.sessionId}`);
+                }
+            })
+            .catch((error) => {
+                console.error('Error processing speech:', error);
+                this.emitToSession(session, 'error', { message: 'Failed to process speech' });
             });
-        });
     }
 
     endVoiceSession(socket) {
-        const session = this.activeConnections.get(socket.id);
+        const session = this.getSession(socket);
         if (session) {
-            console.log(`Voice session ended: ${session.sessionId}`);
-            this.activeConnections.delete(socket.id);
+            this.closeSession(session);
+        }
+    }
+
+    closeSession(session, { cancel = false } = {}) {
+        clearTimeout(session.expiryTimer);
+
+        if (cancel) {
+            // Nobody is left to hear the answer
+            session.pipeline.cancel('disconnected');
+        } else {
+            // Let a trailing utterance through when the client stops mid-sentence
+            this.handleVadEvents(session, session.vad.flush());
+        }
+
+        session.decoder.destroy();
+        if (session.socket) {
+            this.activeConnections.delete(session.socket.id);
         }
+        this.sessions.delete(session.sessionId);
+        this.contextManager?.forget(session.sessionId);
+        console.log(`Voice session ended: ${session.sessionId}`);
     }
 }
 
+// Cached model catalog of every LLM provider; ?type=chat for chat models only, ?refresh=true to reload
 app.get('/api/models', async (req, res) => {
+    const { provider, type, refresh } = req.query;
+    if (provider && !llmProviders.has(provider)) {
+        return res.status(400).json({ error: 'Unknown LLM provider', details: `Configured LLM providers: ${llmProviders.names().join(', ')}` });
+    }
+
     try {
-        const models = await ionosAI.listModels();
-        res.json(models);
+        if (refresh === 'true' || modelCatalog.catalogs.size === 0) {
+            await modelCatalog.refresh();
+        }
+
+        res.json({
+            object: 'list',
+            data: modelCatalog.list({ provider, type }),
+            default: { provider: llmProviders.defaultName, model: llmProviders.get().defaultModel },
+            providers: modelCatalog.status(),
+            limits: modelCatalog.limits
+        });
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch models', details: error.message });
     }
@@ -656,11 +1134,17 @@ app.get('/api/signed-url', async (req, res) => {
     try {
         const agentId = process.env.ELEVEN_LABS_AGENT_ID;
         const apiKey = process.env.ELEVEN_LABS_API_KEY;
+        const { scenario } = req.query;
+        const userName = typeof req.query.userName === 'string' ? req.query.userName.trim().slice(0, 60) : '';
 
         if (!agentId || !apiKey) {
             return res.status(500).json({ error: 'ElevenLabs configuration missing' });
         }
 
+        if (scenario && !SCENARIOS[scenario]) {
+            return res.status(400).json({ error: 'Unknown scenario', details: `Valid scenarios: ${Object.keys(SCENARIOS).join(', ')}` });
+        }
+
         const response = await axios.get(
             `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${agentId}`,
             {
@@ -674,7 +1158,15 @@ app.get('/api/signed-url', async (req, res) => {
             throw new Error('Failed to get signed URL from ElevenLabs');
         }
 
-        res.json({ signedUrl: response.data.signed_url });
+        if (!scenario) {
+            return res.json({ signedUrl: response.data.signed_url });
+        }
+
+        res.json({
+            signedUrl: response.data.signed_url,
+            scenario,
+            ...buildScenarioOverrides(scenario, { userName })
+        });
     } catch (error) {
         console.error('Error getting signed URL:', error.response?.data || error.message);
         res.status(500).json({ error: 'Failed to get signed URL', details: error.message });
@@ -687,6 +1179,40 @@ app.get('/api/agent-id', (req, res) => {
     res.json({ agentId });
 });
 
+// Pull a finished ConvAI conversation's transcript into the sessions/turns tables
+app.post('/api/convai/conversations/:conversationId/sync', async (req, res) => {
+    try {
+        if (!process.env.ELEVEN_LABS_API_KEY) {
+            return res.status(500).json({ error: 'ElevenLabs configuration missing' });
+        }
+
+        const result = await convaiSync.syncConversation(req.params.conversationId);
+        res.json(result);
+    } catch (error) {
+        console.error('Error syncing ConvAI conversation:', error.response?.data || error.message);
+        const status = error.response?.status === 404 ? 404 : 500;
+        res.status(status).json({ error: 'Failed to sync conversation', details: error.message });
+    }
+});
+
+// ElevenLabs post-call transcription webhook
+app.post('/api/convai/webhook', (req, res) => {
+    if (!process.env.ELEVEN_LABS_WEBHOOK_SECRET) {
+        return res.status(503).json({ error: 'Webhook disabled (ELEVEN_LABS_WEBHOOK_SECRET not set)' });
+    }
+    if (!convaiSync.verifyWebhook(req.rawBody, req.headers['elevenlabs-signature'])) {
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    try {
+        const result = convaiSync.handleWebhook(req.body);
+        res.json({ received: true, ...(result && { synced: result }) });
+    } catch (error) {
+        console.error('Error handling ConvAI webhook:', error.message);
+        res.status(500).json({ error: 'Failed to store conversation', details: error.message });
+    }
+});
+
 // AI-powered coaching evaluation system
 app.post('/api/evaluate-session', async (req, res) => {
     try {
@@ -712,7 +1238,7 @@ app.post('/api/evaluate-session', async (req, res) => {
         const scenarioContext = scenario ? scenario.title : 'General conversation';
 
         // Prepare conversation for AI analysis
-        const conversationText = turns.map(turn =>
+        const conversationText = turns.filter(turn => !TOOL_SPEAKERS.includes(turn.speaker)).map(turn =>
             `${turn.speaker.charAt(0).toUpperCase() + turn.speaker.slice(1)}: ${turn.message}`
         ).join('\n');
 
@@ -742,10 +1268,11 @@ Provide your response in this exact JSON format:
 }`;
 
         // Get AI evaluation
-        const evaluation = await ionosAI.getChatCompletion([
+        const evaluator = evaluationLLM();
+        const evaluation = await evaluator.provider.getChatCompletion([
             { role: 'system', content: 'You are a professional conversation coach. Return only valid JSON.' },
             { role: 'user', content: evaluationPrompt }
-        ], 'meta-llama/Meta-Llama-3.1-405B-Instruct-FP8');
+        ], evaluator.model);
 
         // Parse the AI response
         let evaluationData;
@@ -840,7 +1367,7 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
             return res.status(400).json({ error: 'No audio file provided' });
         }
 
-        const transcription = await ionosAI.transcribeAudio(req.file.path);
+        const transcription = await sttProvider.transcribeFile(req.file.path);
 
         fs.unlink(req.file.path, (err) => {
             if (err) console.error('Error deleting uploaded file:', err);
@@ -854,21 +1381,145 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
 
 app.post('/api/chat', async (req, res) => {
     try {
-        const { message, model } = req.body;
+        const { message, scenario } = req.body;
+        const conversationId = req.body.conversationId || `chat_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
         if (!message) {
             return res.status(400).json({ error: 'No message provided' });
         }
 
-        const messages = [
-            { role: 'system', content: 'You are a helpful voice assistant. Keep responses concise and conversational.' },
-            { role: 'user', content: message }
-        ];
+        const llm = parseLLMRequest(req.body, scenario);
+        if (llm.error) {
+            return res.status(400).json({ error: 'Invalid model or generation parameters', details: llm.error });
+        }
 
-        const response = await ionosAI.getChatCompletion(messages, model);
-        res.json({ response });
+        const history = conversationHistory(conversationId);
+        const result = await fallbackChain.run('chat', {
+            message,
+            ...llm,
+            systemPrompt: SCENARIOS[scenario]?.prompt,
+            history: [...history],
+            conversationId
+        });
+        rememberExchange(conversationId, message, result.text, { toolCalls: result.toolCalls });
+
+        res.json({
+            response: result.text,
+            conversationId,
+            provider: result.provenance.provider,
+            toolCalls: result.toolCalls || [],
+            provenance: result.provenance
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get chat response', details: error.message });
+        res.status(500).json({ error: 'Failed to get chat response', details: error.message, provenance: error.provenance });
+    }
+});
+
+// Streaming chat: SSE text deltas plus per-sentence TTS audio as soon as each sentence completes
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, scenario } = req.body;
+    const conversationId = req.body.conversationId || `chat_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+    if (!message) {
+        return res.status(400).json({ error: 'No message provided' });
+    }
+
+    const llm = parseLLMRequest(req.body, scenario);
+    if (llm.error) {
+        return res.status(400).json({ error: 'Invalid model or generation parameters', details: llm.error });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const turnId = newTurnId();
+    let streamedText = '';
+    const send = (event) => {
+        if (!res.writableEnded) {
+            res.write(`data: ${JSON.stringify(event)}\n\n`);
+        }
+    };
+
+    // A browser that goes away was interrupted: stop the upstream completion and keep what was
+    // sent so far, which the client narrows down to what was heard by reporting this turnId
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        controller.abort();
+        rememberExchange(conversationId, message, `${streamedText}…`, { turnId, interrupted: true });
+    });
+
+    send({ type: 'start', conversationId, turnId });
+
+    const splitter = new SentenceSplitter();
+    let sentenceIndex = 0;
+    let firstAudioAt = null;
+    let audioChain = Promise.resolve();
+
+    // Synthesis runs in parallel but audio events are delivered in sentence order
+    const speak = (text) => {
+        const index = sentenceIndex++;
+        const tts = elevenLabs.generateSpeech(text).then(url => ({ url }), error => ({ error }));
+
+        audioChain = audioChain.then(async () => {
+            const { url, error } = await tts;
+            if (controller.signal.aborted) return;
+
+            if (error) {
+                console.error('Sentence TTS failed:', error.message);
+                send({ type: 'audio-error', index, text });
+                return;
+            }
+
+            if (firstAudioAt === null) firstAudioAt = Date.now();
+            send({ type: 'audio', index, text, url });
+        });
+    };
+
+    try {
+        // Same policy as /api/chat: a provider that fails before its first delta hands over to the next
+        const result = await fallbackChain.run('chat', {
+            message,
+            ...llm,
+            systemPrompt: SCENARIOS[scenario]?.prompt,
+            history: [...conversationHistory(conversationId)],
+            conversationId
+        }, {
+            signal: controller.signal,
+            onDelta: (delta) => {
+                streamedText += delta;
+                send({ type: 'text', delta });
+                splitter.push(delta).forEach(speak);
+            }
+        });
+        splitter.flush().forEach(speak);
+
+        await audioChain;
+        if (controller.signal.aborted) return;
+        rememberExchange(conversationId, message, result.text, { turnId, toolCalls: result.toolCalls });
+
+        send({
+            type: 'done',
+            response: result.text,
+            conversationId,
+            turnId,
+            provider: result.provenance.provider,
+            model: result.model || null,
+            toolCalls: result.toolCalls || [],
+            provenance: result.provenance,
+            responseTime: `${Date.now() - startTime}ms`,
+            timeToFirstAudio: firstAudioAt ? `${firstAudioAt - startTime}ms` : null
+        });
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            console.error('Streaming chat failed:', error.message);
+            send({ type: 'error', error: 'Failed to stream chat response', details: error.message, provenance: error.provenance });
+        }
+    } finally {
+        res.end();
     }
 });
 
@@ -896,6 +1547,11 @@ app.post('/api/agent-chat', async (req, res) => {
             return res.status(400).json({ error: 'No message provided' });
         }
 
+        const llm = parseLLMRequest(req.body, scenario || conversations.get(sessionId)?.scenario);
+        if (llm.error) {
+            return res.status(400).json({ error: 'Invalid model or generation parameters', details: llm.error });
+        }
+
         // Get or create session
         const currentSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
@@ -938,50 +1594,103 @@ app.post('/api/agent-chat', async (req, res) => {
         }
 
         console.log(`Session ${currentSessionId}: User said "${message}"`);
+        observers.publish(currentSessionId, 'transcript-turn', { speaker: 'user', text: message });
+        observers.publish(currentSessionId, 'speaking-state', { speaker: 'assistant', state: 'thinking' });
+        const agentStartedAt = Date.now();
 
         // If this is a scenario-based conversation, modify the message with context
         let contextualMessage = message;
-        if (session.scenario && SCENARIOS[session.scenario]) {
-            const scenarioPrompt = SCENARIOS[session.scenario].prompt;
+        const scenarioPrompt = SCENARIOS[session.scenario]?.prompt;
+        if (scenarioPrompt) {
             contextualMessage = `${scenarioPrompt}\n\nUser message: ${message}`;
         }
 
-        // Use ElevenLabs agent for both conversation and voice
-        const result = await elevenLabs.conversationWithAgent(contextualMessage, session.conversationId);
+        // ElevenLabs agent first; text providers further down the chain get the session history
+        const result = await fallbackChain.run('agent-chat', {
+            message,
+            ...llm,
+            scenario: session.scenario,
+            agentMessage: contextualMessage,
+            systemPrompt: scenarioPrompt || DEFAULT_SYSTEM_PROMPT,
+            history: session.messages.slice(0, -1),
+            sessionId: currentSessionId,
+            conversationId: session.conversationId
+        });
+
+        // Agent replies carry their own audio; any other provider's answer is spoken with TTS
+        let audioFile = result.audioFileName;
+        if (!audioFile) {
+            try {
+                audioFile = (await elevenLabs.generateSpeech(result.text)).split('/').pop();
+            } catch (error) {
+                console.error('TTS generation failed:', error.message);
+            }
+        }
 
         // Update session with agent response
-        session.conversationId = result.conversationId;
-        session.messages.push({
+        rememberToolCalls(currentSessionId, result.toolCalls);
+        session.conversationId = result.conversationId || session.conversationId;
+        const assistantMessage = {
             role: 'assistant',
             content: result.text,
+            turnId: newTurnId(),
             timestamp: new Date(),
-            audioFile: result.fileName
-        });
+            audioFile,
+            provider: result.provenance.provider,
+            ...(result.toolCalls?.length > 0 && { toolCalls: result.toolCalls })
+        };
+        session.messages.push(assistantMessage);
 
         // Save assistant message to database
         try {
-            insertTurn.run(currentSessionId, 'assistant', result.text);
+            assistantMessage.turnRowId = insertTurn.run(currentSessionId, 'assistant', result.text).lastInsertRowid;
         } catch (dbError) {
             console.warn('Failed to save assistant message to database:', dbError.message);
         }
 
-        console.log(`Session ${currentSessionId}: Agent responded "${result.text}"`);
+        console.log(`Session ${currentSessionId}: ${result.provenance.provider} responded "${result.text}"`);
+        observers.publish(currentSessionId, 'transcript-turn', { speaker: 'assistant', text: result.text });
+        observers.publish(currentSessionId, 'latency', { latency: { total: Date.now() - agentStartedAt } });
 
         res.json({
             response: result.text,
-            audioUrl: `/api/audio/${result.fileName}`,
+            audioUrl: audioFile ? `/api/audio/${audioFile}` : null,
             sessionId: currentSessionId,
-            conversationId: result.conversationId,
+            conversationId: session.conversationId,
+            agentEventsToken: session.conversationId ? agentEventsToken(session.conversationId) : null,
+            turnId: assistantMessage.turnId,
             messageCount: session.messages.length,
-            scenario: session.scenario
+            scenario: session.scenario,
+            provider: result.provenance.provider,
+            toolCalls: result.toolCalls || [],
+            provenance: result.provenance
         });
     } catch (error) {
         console.error('Agent chat error:', error);
-        res.status(500).json({ error: 'Failed to get agent response', details: error.message });
+        res.status(500).json({ error: 'Failed to get agent response', details: error.message, provenance: error.provenance });
     }
 });
 
 // Get conversation history
+// Stored sessions (agent chat and synced ConvAI conversations), newest first
+app.get('/api/sessions', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({
+            sessions: listSessions.all(limit).map(row => ({
+                sessionId: row.id,
+                scenario: row.scenario,
+                source: row.convai_status ? 'convai' : 'agent-chat',
+                turnCount: row.turn_count,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to list sessions', details: error.message });
+    }
+});
+
 app.get('/api/sessions/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
@@ -1004,11 +1713,62 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
     }
 });
 
+// Observer notes for a session; same shared token as the /observe namespace
+app.get('/api/sessions/:sessionId/notes', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!observers.isAuthorized(token)) {
+        return res.status(401).json({ error: 'Observer token required' });
+    }
+
+    try {
+        res.json({ sessionId: req.params.sessionId, notes: observerNotesStore.list(req.params.sessionId) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get notes', details: error.message });
+    }
+});
+
+// Record that the user talked over an assistant reply; only the part they heard is kept.
+// The reply is named by the turnId its response carried, so late or repeated reports are harmless.
+app.post('/api/sessions/:sessionId/interrupt', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { turnId, spokenText = '' } = req.body;
+        const heard = `${spokenText}…`;
+
+        if (!turnId) {
+            return res.status(400).json({ error: 'turnId is required' });
+        }
+
+        // Agent-chat sessions keep `messages`; instant-chat stores a bare history array
+        const stored = conversations.get(sessionId);
+        const history = Array.isArray(stored) ? stored : stored?.messages;
+        const reply = history?.find(msg => msg.role === 'assistant' && msg.turnId === turnId);
+
+        if (reply) {
+            reply.content = heard;
+            reply.interrupted = true;
+
+            if (reply.turnRowId) {
+                try {
+                    markTurnInterrupted.run(heard, reply.turnRowId, sessionId);
+                } catch (dbError) {
+                    console.warn('Failed to record interruption in database:', dbError.message);
+                }
+            }
+        }
+
+        res.json({ sessionId, turnId, interrupted: !!reply, spokenText });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to record interruption', details: error.message });
+    }
+});
+
 // Clear conversation
 app.delete('/api/sessions/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         const deleted = conversations.delete(sessionId);
+        contextManager.forget(sessionId);
 
         if (!deleted) {
             return res.status(404).json({ error: 'Session not found' });
@@ -1027,7 +1787,8 @@ app.get('/api/audio/:filename', (req, res) => {
         return res.status(404).json({ error: 'Audio file not found' });
     }
 
-    res.setHeader('Content-Type', 'audio/mpeg');
+    const extension = req.params.filename.split('.').pop().toLowerCase();
+    res.setHeader('Content-Type', AUDIO_CONTENT_TYPES[extension] || 'application/octet-stream');
     const audioStream = fs.createReadStream(filePath);
     audioStream.pipe(res);
 
@@ -1048,17 +1809,40 @@ app.post('/api/process-voice', upload.single('audio'), async (req, res) => {
 
         console.log('Processing voice input...');
 
-        // Clean up the uploaded file immediately since we can't transcribe it
-        fs.unlink(req.file.path, (err) => {
-            if (err) console.error('Error deleting uploaded file:', err);
-        });
+        let transcription;
+        try {
+            transcription = await sttProvider.transcribeFile(req.file.path);
+        } finally {
+            fs.unlink(req.file.path, (err) => {
+                if (err) console.error('Error deleting uploaded file:', err);
+            });
+        }
+
+        const keyword = (req.body.keyword || process.env.KEYWORD || 'assistant').toLowerCase();
+        const keywordRequired = req.body.keywordRequired !== 'false';
+        const keywordDetected = !!transcription && transcription.toLowerCase().includes(keyword);
+
+        if (!transcription || (keywordRequired && !keywordDetected)) {
+            return res.json({ transcription, keywordDetected });
+        }
+
+        const response = await llmProviders.get().getChatCompletion([
+            { role: 'system', content: DEFAULT_SYSTEM_PROMPT },
+            { role: 'user', content: transcription }
+        ]);
+
+        let audioUrl = null;
+        try {
+            audioUrl = await elevenLabs.generateSpeech(response);
+        } catch (error) {
+            console.error('TTS generation failed:', error);
+        }
 
-        // Return a message that encourages using browser speech recognition instead
         res.json({
-            transcription: "Browser speech recognition not available in this mode",
-            keywordDetected: false,
-            message: "Please use the browser speech recognition by clicking the microphone button instead of uploading audio files. This provides better transcription and faster processing.",
-            useWebSpeech: true
+            transcription,
+            keywordDetected,
+            response,
+            audioUrl
         });
 
     } catch (error) {
@@ -1077,159 +1861,277 @@ app.post('/api/instant-chat', async (req, res) => {
             return res.status(400).json({ error: 'Message is required' });
         }
 
-        const startTime = Date.now();
-
-        // Use ElevenLabs Agent for fastest response with conversation continuity
-        if (process.env.ELEVEN_LABS_API_KEY && process.env.ELEVEN_LABS_AGENT_ID) {
-            try {
-                // Add timeout to prevent hanging
-                const agentPromise = elevenLabs.chatWithAgent(message, conversationId);
-                const timeoutPromise = new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('ElevenLabs agent timeout')), 10000)
-                );
-
-                const agentResponse = await Promise.race([agentPromise, timeoutPromise]);
-
-                // Check if ElevenLabs is giving a generic/repeated response instead of answering the question
-                const isGenericResponse = agentResponse.response.includes("I'm ready — what's on your mind today") ||
-                                        agentResponse.response.includes("Want to capture a note, draft a message");
-
-                // If it's a conversation continuation but getting generic response, use IONOS AI fallback
-                if (conversationId && isGenericResponse) {
-                    console.log('ElevenLabs gave generic response for conversation continuation, falling back to IONOS AI');
-                    throw new Error('ElevenLabs not engaging with conversation context');
-                }
-
-                // Generate TTS in parallel for faster response
-                let audioUrl = null;
-                const ttsPromise = elevenLabs.generateSpeech(agentResponse.response)
-                    .then(url => audioUrl = url)
-                    .catch(error => console.error('TTS generation failed:', error));
-
-                // Don't wait for TTS if in fast mode
-                if (!fastMode) {
-                    await ttsPromise;
-                }
-
-                const responseTime = Date.now() - startTime;
-
-                res.json({
-                    response: agentResponse.response,
-                    audioUrl: audioUrl,
-                    sessionId: agentResponse.sessionId,
-                    conversationId: agentResponse.conversationId,
-                    messageCount: agentResponse.messageCount,
-                    responseTime: `${responseTime}ms`,
-                    fastMode: fastMode
-                });
-
-                // Complete TTS generation in background if fast mode
-                if (fastMode && !audioUrl) {
-                    ttsPromise.then(url => {
-                        console.log(`Background TTS completed for: "${message.substring(0, 50)}..."`);
-                    });
-                }
-
-                return;
-
-            } catch (error) {
-                console.error('ElevenLabs agent failed, falling back to IONOS:', error);
-            }
+        const llm = parseLLMRequest(req.body);
+        if (llm.error) {
+            return res.status(400).json({ error: 'Invalid model or generation parameters', details: llm.error });
         }
 
-        // Fallback to IONOS AI for fast text generation with conversation continuity
-        const messages = [
-            { role: 'system', content: 'You are a helpful voice assistant. Keep responses concise and conversational.' }
-        ];
-
-        // Add conversation history if available
-        if (conversationId && conversations.has(conversationId)) {
-            const conversationHistory = conversations.get(conversationId);
-            // Add the conversation history to messages
-            messages.push(...conversationHistory);
-            console.log('Using IONOS AI fallback with conversation history:', conversationId);
-        } else {
-            console.log('Using IONOS AI fallback for new conversation');
-        }
+        const startTime = Date.now();
 
-        // Add current message
-        messages.push({ role: 'user', content: message });
+        // Agent-chat sessions keep `messages`; instant-chat and agent replies store a bare history array
+        const stored = conversationId ? conversations.get(conversationId) : null;
+        const isAgentChatSession = Boolean(stored) && !Array.isArray(stored);
+        const history = isAgentChatSession ? stored.messages : [...conversationHistory(conversationId)];
 
-        const ionosResponse = await ionosAI.getChatCompletion(messages, 'meta-llama/Meta-Llama-3.1-8B-Instruct');
+        const result = await fallbackChain.run('instant-chat', { message, ...llm, history, conversationId });
 
-        let audioUrl = null;
-        if (!fastMode) {
+        // Agent replies already come with audio; other answers get TTS unless fast mode skips it
+        let audioUrl = result.audioFileName ? `/api/audio/${result.audioFileName}` : null;
+        if (!audioUrl && !fastMode) {
             try {
-                audioUrl = await elevenLabs.generateSpeech(ionosResponse);
+                audioUrl = await elevenLabs.generateSpeech(result.text);
             } catch (error) {
                 console.error('TTS generation failed:', error);
             }
         }
 
-        // Store conversation history for IONOS AI fallback
-        const finalConversationId = conversationId || Date.now().toString();
-        if (!conversations.has(finalConversationId)) {
-            conversations.set(finalConversationId, []);
-        }
-        const history = conversations.get(finalConversationId);
-        history.push({ role: 'user', content: message });
-        history.push({ role: 'assistant', content: ionosResponse });
-
-        // Keep only last 10 messages (5 exchanges) to prevent memory bloat
-        if (history.length > 10) {
-            conversations.set(finalConversationId, history.slice(-10));
-        }
+        // chatWithAgent records its own turns; keep history for every other provider here
+        const finalConversationId = result.conversationId || conversationId || Date.now().toString();
+        const turnId = result.provenance.provider !== 'agent'
+            ? rememberExchange(finalConversationId, message, result.text, { toolCalls: result.toolCalls })
+            : result.turnId;
 
         const responseTime = Date.now() - startTime;
 
         res.json({
-            response: ionosResponse,
+            response: result.text,
             audioUrl: audioUrl,
             sessionId: finalConversationId,
             conversationId: finalConversationId,
-            messageCount: history.length / 2,
+            turnId,
+            messageCount: Math.floor(conversationHistory(finalConversationId).length / 2) || 1,
             responseTime: `${responseTime}ms`,
-            fastMode: fastMode
+            fastMode: fastMode,
+            provider: result.provenance.provider,
+            toolCalls: result.toolCalls || [],
+            provenance: result.provenance
         });
 
     } catch (error) {
         console.error('Instant chat failed:', error);
         res.status(500).json({
             error: 'Failed to process instant chat',
-            details: error.message
+            details: error.message,
+            provenance: error.provenance
         });
     }
 });
 
+// Aggregate voice pipeline latency over the most recent turns
+app.get('/api/stats/latency', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 200, 5000);
+        const rows = getRecentTurnMetrics.all(limit);
+
+        const summarize = (column) => {
+            const values = rows.map(row => row[column]).filter(value => value !== null).sort((a, b) => a - b);
+            if (values.length === 0) return null;
+            const percentile = (p) => values[Math.min(values.length - 1, Math.floor(p * values.length))];
+            return {
+                avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+                p50: percentile(0.5),
+                p95: percentile(0.95)
+            };
+        };
+
+        res.json({
+            turns: rows.length,
+            stt: summarize('stt_ms'),
+            firstToken: summarize('first_token_ms'),
+            firstAudio: summarize('first_audio_ms'),
+            speechEndToFirstAudio: summarize('speech_end_to_first_audio_ms'),
+            total: summarize('total_ms')
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get latency stats', details: error.message });
+    }
+});
+
+// How often each provider's replies trip the response guard, over the most recent checks
+app.get('/api/stats/response-quality', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 1000, 20000);
+        const rows = getRecentResponseChecks.all(limit);
+        const providers = {};
+
+        for (const row of rows) {
+            const stats = providers[row.provider] ??= { checked: 0, flagged: 0, flags: {}, actions: {} };
+            stats.checked++;
+            if (row.flags) {
+                stats.flagged++;
+                for (const rule of row.flags.split(',')) {
+                    stats.flags[rule] = (stats.flags[rule] || 0) + 1;
+                }
+            }
+            stats.actions[row.action] = (stats.actions[row.action] || 0) + 1;
+        }
+
+        for (const stats of Object.values(providers)) {
+            stats.flagRate = Math.round(stats.flagged / stats.checked * 1000) / 1000;
+        }
+
+        res.json({ checks: rows.length, providers });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get response quality stats', details: error.message });
+    }
+});
+
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
         services: {
             ionos: !!process.env.IONOS_API_TOKEN,
-            elevenlabs: !!process.env.ELEVEN_LABS_API_KEY
+            llm: { default: llmProviders.defaultName, providers: llmProviders.names() },
+            elevenlabs: !!process.env.ELEVEN_LABS_API_KEY,
+            stt: sttProvider.name
         }
     });
 });
 
+// Supervisors watch live sessions from the /observe namespace
+const observers = new SessionObserverHub(io, {
+    token: process.env.OBSERVER_TOKEN,
+    isActiveSession: (sessionId) => voiceProcessor.sessions.has(sessionId) || conversations.has(sessionId),
+    notesStore: observerNotesStore
+});
+
 // Initialize real-time voice processor
-const voiceProcessor = new RealTimeVoiceProcessor(io, elevenLabs);
+const voiceProcessor = new RealTimeVoiceProcessor(io, {
+    elevenLabs,
+    sttProvider,
+    llm: llmProviders.get(),
+    metricsStore: turnMetricsStore,
+    responseGuard,
+    contextManager,
+    observers
+});
+
+// Following a conversation's live events takes a token only its owner was given: either when the
+// server named the conversation for this socket, or with the agent-chat response that used it
+const agentEventsSecret = randomBytes(32);
+
+function agentEventsToken(conversationId) {
+    return createHmac('sha256', agentEventsSecret).update(conversationId).digest('hex');
+}
+
+function isAgentEventsToken(conversationId, token) {
+    const expected = Buffer.from(agentEventsToken(conversationId));
+    const received = Buffer.from(String(token || ''));
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+// Browsers following an ElevenLabs agent conversation get its transcripts and corrections live.
+// Without a conversationId the server starts a new one for the socket.
+io.on('connection', (socket) => {
+    socket.on('subscribe-agent-events', (data, ack) => {
+        if (typeof ack !== 'function') return;
+        const { conversationId, token } = data && typeof data === 'object' ? data : {};
+
+        if (!conversationId) {
+            const created = `convai_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+            socket.join(`convai:${created}`);
+            ack({ conversationId: created, token: agentEventsToken(created) });
+            return;
+        }
+
+        if (typeof conversationId !== 'string' || !isAgentEventsToken(conversationId, token)) {
+            console.warn(`Refused agent events for ${conversationId} to ${socket.id}`);
+            ack({ error: 'Not allowed to follow this conversation' });
+            return;
+        }
+
+        socket.join(`convai:${conversationId}`);
+        ack({ conversationId, token });
+    });
+
+    socket.on('unsubscribe-agent-events', (data) => {
+        if (data && typeof data === 'object') {
+            socket.leave(`convai:${data.conversationId}`);
+        }
+    });
+});
+
+// Corrections are applied to the reply by ConvAIConnectionManager before it reaches the history
+elevenLabs.convai.on('agent-event', (conversationId, event) => {
+    io.to(`convai:${conversationId}`).emit('agent-event', { conversationId, ...event });
+});
+
+// Phone callers via Twilio Media Streams (or anything speaking that protocol)
+const telephonyStreamPath = process.env.TELEPHONY_STREAM_PATH || '/media-stream';
+const telephonyBridge = new TelephonyBridge(httpServer, {
+    path: telephonyStreamPath,
+    stt: sttProvider,
+    llm: llmProviders.get(),
+    tts: { generateSpeech: (text, options) => elevenLabs.generatePcmSpeech(text, options) },
+    metricsStore: turnMetricsStore,
+    responseGuard,
+    contextManager,
+    maxBufferedBytes: voiceProcessor.limits.maxBufferedBytes,
+    twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
+    streamToken: process.env.TELEPHONY_STREAM_TOKEN,
+    publicHost: process.env.PUBLIC_HOST
+});
+
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// TwiML for a Twilio voice webhook: connect the call to the media stream endpoint.
+// Only Twilio may ask, so the request must carry a signature made with TWILIO_AUTH_TOKEN.
+app.post('/api/telephony/twiml', (req, res) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        return res.status(503).json({ error: 'Telephony webhook is disabled (TWILIO_AUTH_TOKEN not set)' });
+    }
+
+    // Twilio signs the https URL it called; behind a proxy PUBLIC_HOST names it
+    const publicHost = process.env.PUBLIC_HOST || req.headers.host;
+    if (!verifyTwilioSignature(authToken, req.headers['x-twilio-signature'], `https://${publicHost}${req.originalUrl}`, req.body)) {
+        return res.status(403).json({ error: 'Invalid Twilio signature' });
+    }
+
+    const streamUrl = escapeXml(`wss://${publicHost}${telephonyStreamPath}`);
+    res.type('text/xml').send(
+        `<?xml version="1.0" encoding="UTF-8"?><Response><Connect><Stream url="${streamUrl}"/></Connect></Response>`
+    );
+});
 
 httpServer.listen(port, process.env.HOST || 'localhost', () => {
+    modelCatalog.start();
     console.log(`🎙️ Real-Time Voice Assistant Backend running on http://${process.env.HOST || 'localhost'}:${port}`);
     console.log('📡 WebSocket server ready for real-time audio');
     console.log('Available endpoints:');
     console.log('  GET  /api/health - Health check');
-    console.log('  GET  /api/models - List available AI models');
+    console.log('  GET  /api/models - Cached model catalog of the LLM providers');
     console.log('  GET  /api/scenarios - Get conversation scenarios');
     console.log('  POST /api/transcribe - Transcribe audio to text');
     console.log('  POST /api/chat - Get chat completion');
+    console.log('  POST /api/chat/stream - Stream chat completion with sentence-level TTS (SSE)');
     console.log('  POST /api/agent-chat - Chat with ElevenLabs agent');
     console.log('  POST /api/tts - Convert text to speech');
     console.log('  POST /api/evaluate-session - Get AI coaching evaluation');
     console.log('  GET  /api/evaluate-session/:id - Get existing evaluation');
     console.log('  POST /api/process-voice - Complete voice processing pipeline');
     console.log('  GET  /api/audio/:filename - Serve generated audio files');
+    console.log('  GET  /api/sessions - List stored sessions');
+    console.log('  POST /api/convai/conversations/:id/sync - Store a finished ConvAI transcript');
+    console.log('  POST /api/convai/webhook - ElevenLabs post-call transcription webhook');
+    console.log('  GET  /api/stats/latency - Voice pipeline latency summary');
+    console.log('  GET  /api/stats/response-quality - Response guard flag counts per provider');
+    console.log('  POST /api/telephony/twiml - TwiML connecting a Twilio call to the media stream');
+    console.log(`  WS   ${telephonyStreamPath} - Telephony media stream (Twilio Media Streams protocol)`);
+    if (!telephonyBridge.enabled) {
+        console.warn('⚠️  Telephony is disabled: set TWILIO_AUTH_TOKEN and/or TELEPHONY_STREAM_TOKEN');
+    }
     console.log('  🔄 WebSocket: Real-time voice streaming');
     console.log('  🎯 Coaching: AI-powered conversation analysis');
-});
\ No newline at end of file
+});
+
+// Close agent sockets cleanly so ElevenLabs ends the conversations on its side
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        elevenLabs.convai.closeAll();
+        setTimeout(() => process.exit(0), 250);
+    });
+}
@@ -0,0 +1,58 @@
+// Resource limits for socket voice sessions, so one client cannot exhaust server memory
+
+export const DEFAULT_SESSION_LIMITS = {
+    maxSessions: 100,             // concurrent voice sessions, attached or resumable
+    maxBufferedMs: 30000,         // audio held for the utterance in progress
+    maxBufferedBytes: 2 * 1024 * 1024,
+    maxChunkBytes: 64 * 1024,     // a single audio-chunk payload
+    chunksPerSecond: 100,         // 20 ms frames arrive at 50/s
+    chunkBurst: 200,
+    maxPendingEvents: 500,        // events held for a disconnected client
+    idleTimeoutMs: 60000,         // no audio for this long closes the session
+    reapIntervalMs: 10000
+};
+
+const ENV_KEYS = {
+    maxSessions: 'VOICE_MAX_SESSIONS',
+    maxBufferedMs: 'VOICE_MAX_BUFFERED_MS',
+    maxBufferedBytes: 'VOICE_MAX_BUFFERED_BYTES',
+    maxChunkBytes: 'VOICE_MAX_CHUNK_BYTES',
+    chunksPerSecond: 'VOICE_CHUNKS_PER_SECOND',
+    chunkBurst: 'VOICE_CHUNK_BURST',
+    maxPendingEvents: 'VOICE_MAX_PENDING_EVENTS',
+    idleTimeoutMs: 'VOICE_IDLE_TIMEOUT_MS',
+    reapIntervalMs: 'VOICE_REAP_INTERVAL_MS'
+};
+
+export function resolveSessionLimits(env = process.env) {
+    const limits = { ...DEFAULT_SESSION_LIMITS };
+
+    for (const [key, name] of Object.entries(ENV_KEYS)) {
+        const value = parseInt(env[name]);
+        if (Number.isFinite(value) && value > 0) {
+            limits[key] = value;
+        }
+    }
+
+    return limits;
+}
+
+// Token bucket: refills `ratePerSecond` tokens per second up to `burst`
+export class TokenBucket {
+    constructor(ratePerSecond, burst = ratePerSecond) {
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    tryRemove(count = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+        this.updatedAt = now;
+
+        if (this.tokens < count) return false;
+        this.tokens -= count;
+        return true;
+    }
+}
@@ -0,0 +1,117 @@
+// Read-only Socket.IO namespace for supervisors watching a live voice session.
+// Observers authenticate with a shared token, join a session id and receive transcript turns,
+// speaking-state changes and latency events. The namespace has no audio handlers, so an
+// observer can never inject anything into the session; notes are stored but only shared
+// with other observers.
+
+// How voice pipeline events map onto what observers see
+const VOICE_EVENT_MAP = {
+    'speech-started': () => ['speaking-state', { speaker: 'user', state: 'speaking' }],
+    'speech-ended': () => ['speaking-state', { speaker: 'user', state: 'silent' }],
+    'processing-audio': () => ['speaking-state', { speaker: 'assistant', state: 'thinking' }],
+    'transcript-final': ({ text }) => text ? ['transcript-turn', { speaker: 'user', text }] : null,
+    'agent-response': ({ turnId, response }) => ['transcript-turn', { speaker: 'assistant', turnId, text: response }],
+    'turn-interrupted': ({ turnId, spokenText }) => ['speaking-state', { speaker: 'assistant', state: 'interrupted', turnId, spokenText }],
+    'turn-cancelled': ({ turnId, reason }) => ['speaking-state', { speaker: 'assistant', state: 'cancelled', turnId, reason }],
+    'turn-metrics': ({ turnId, latency }) => ['latency', { turnId, latency }]
+};
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Observer payloads arrive as the client sent them; anything but an object counts as empty
+function fields(data) {
+    return data && typeof data === 'object' ? data : {};
+}
+
+function replier(ack) {
+    return typeof ack === 'function' ? ack : () => {};
+}
+
+export class SessionObserverHub {
+    constructor(io, { token, isActiveSession, notesStore, namespace = '/observe' }) {
+        this.token = token;
+        this.isActiveSession = isActiveSession;
+        this.notesStore = notesStore;
+        this.nsp = io.of(namespace);
+
+        this.nsp.use((socket, next) => {
+            if (!this.token) {
+                next(new Error('Observer mode is disabled (OBSERVER_TOKEN not set)'));
+            } else if (socket.handshake.auth?.token !== this.token) {
+                next(new Error('Unauthorized observer'));
+            } else {
+                next();
+            }
+        });
+
+        this.nsp.on('connection', (socket) => this.handleConnection(socket));
+    }
+
+    isAuthorized(token) {
+        return Boolean(this.token) && token === this.token;
+    }
+
+    handleConnection(socket) {
+        console.log(`Observer connected: ${socket.id}`);
+
+        socket.on('observe-session', (data, callback) => {
+            const { sessionId } = fields(data);
+            const ack = replier(callback);
+            if (!sessionId || !this.isActiveSession(sessionId)) {
+                ack({ error: 'Session not found or not active' });
+                return;
+            }
+
+            socket.join(this.room(sessionId));
+            ack({ sessionId, notes: this.notesStore.list(sessionId) });
+            console.log(`Observer ${socket.id} watching ${sessionId}`);
+        });
+
+        socket.on('leave-session', (data) => {
+            socket.leave(this.room(fields(data).sessionId));
+        });
+
+        socket.on('observer-note', (data, callback) => {
+            const { sessionId, note, author } = fields(data);
+            const ack = replier(callback);
+            const text = typeof note === 'string' ? note.trim() : '';
+            if (!socket.rooms.has(this.room(sessionId))) {
+                ack({ error: 'Join the session before adding notes' });
+                return;
+            }
+            if (!text || text.length > MAX_NOTE_LENGTH) {
+                ack({ error: `Notes must be 1-${MAX_NOTE_LENGTH} characters` });
+                return;
+            }
+
+            try {
+                const saved = this.notesStore.add(sessionId, author || 'observer', text);
+                socket.to(this.room(sessionId)).emit('observer-note', saved);
+                ack({ note: saved });
+            } catch (error) {
+                console.error('Failed to store observer note:', error.message);
+                ack({ error: 'Failed to store note' });
+            }
+        });
+
+        socket.on('disconnect', () => {
+            console.log(`Observer disconnected: ${socket.id}`);
+        });
+    }
+
+    room(sessionId) {
+        return `session:${sessionId}`;
+    }
+
+    publish(sessionId, event, payload) {
+        this.nsp.to(this.room(sessionId)).emit(event, { sessionId, ...payload, timestamp: Date.now() });
+    }
+
+    // Translate a RealTimeVoiceProcessor event into its observer equivalent, if it has one
+    publishVoiceEvent(sessionId, event, payload) {
+        const mapped = VOICE_EVENT_MAP[event]?.(payload);
+        if (mapped) {
+            this.publish(sessionId, ...mapped);
+        }
+    }
+}
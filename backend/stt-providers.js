@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+import { pcmToWav, PCM_SAMPLE_RATE } from './audio-utils.js';
+
+// Base class for speech-to-text providers. Subclasses implement transcribeFile().
+export class STTProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async transcribeFile(audioFilePath) {
+        throw new Error(`${this.name} provider does not implement transcribeFile`);
+    }
+
+    // Transcribe raw 16-bit mono PCM by wrapping it in a temporary WAV file
+    async transcribePcm(pcmBuffer, sampleRate = PCM_SAMPLE_RATE) {
+        const filePath = join(os.tmpdir(), `stt_${Date.now()}_${Math.random().toString(36).substring(7)}.wav`);
+        await fs.promises.writeFile(filePath, pcmToWav(pcmBuffer, sampleRate));
+
+        try {
+            return await this.transcribeFile(filePath);
+        } finally {
+            fs.unlink(filePath, () => {});
+        }
+    }
+
+    // Best-effort transcript of an utterance that is still in progress
+    async transcribePartial(pcmBuffer, sampleRate = PCM_SAMPLE_RATE) {
+        return this.transcribePcm(pcmBuffer, sampleRate);
+    }
+}
+
+// Any server exposing the OpenAI `/audio/transcriptions` endpoint
+export class OpenAICompatibleSTTProvider extends STTProvider {
+    constructor({ baseURL, apiKey, model = 'whisper-1', language = null, timeout = 30000 }) {
+        super('openai');
+        this.baseURL = baseURL;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.language = language;
+        this.timeout = timeout;
+    }
+
+    async transcribeFile(audioFilePath) {
+        try {
+            const formData = new FormData();
+            formData.append('file', fs.createReadStream(audioFilePath));
+            formData.append('model', this.model);
+            if (this.language) {
+                formData.append('language', this.language);
+            }
+
+            const response = await axios.post(`${this.baseURL}/audio/transcriptions`, formData, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    ...formData.getHeaders()
+                },
+                timeout: this.timeout
+            });
+
+            return (response.data.text || '').trim();
+        } catch (error) {
+            console.error('Transcription error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+// Local whisper.cpp `server` example (POST /inference)
+export class WhisperCppSTTProvider extends STTProvider {
+    constructor({ url = 'http://127.0.0.1:8080', language = null, timeout = 30000 }) {
+        super('whisper-cpp');
+        this.url = url.replace(/\/$/, '');
+        this.language = language;
+        this.timeout = timeout;
+    }
+
+    async transcribeFile(audioFilePath) {
+        try {
+            const formData = new FormData();
+            formData.append('file', fs.createReadStream(audioFilePath));
+            formData.append('response_format', 'json');
+            formData.append('temperature', '0.0');
+            if (this.language) {
+                formData.append('language', this.language);
+            }
+
+            const response = await axios.post(`${this.url}/inference`, formData, {
+                headers: formData.getHeaders(),
+                timeout: this.timeout
+            });
+
+            return (response.data.text || '').trim();
+        } catch (error) {
+            console.error('whisper.cpp transcription error:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+// Deterministic provider for development and tests: cycles through a fixed script
+export class MockSTTProvider extends STTProvider {
+    constructor({ responses = ["I'm speaking to the voice assistant"] } = {}) {
+        super('mock');
+        this.responses = responses.length > 0 ? responses : [''];
+        this.index = 0;
+    }
+
+    async transcribeFile(audioFilePath) {
+        const text = this.responses[this.index % this.responses.length];
+        this.index++;
+        return text;
+    }
+
+    // Reveal the upcoming scripted response word by word without advancing the script
+    async transcribePartial(pcmBuffer, sampleRate = PCM_SAMPLE_RATE) {
+        const words = this.responses[this.index % this.responses.length].split(' ');
+        const seconds = pcmBuffer.length / (sampleRate * 2);
+        return words.slice(0, Math.max(1, Math.ceil(seconds * 2))).join(' ');
+    }
+}
+
+// Pick the provider from STT_* environment variables
+export function createSTTProvider(env = process.env) {
+    const provider = (env.STT_PROVIDER || 'openai').toLowerCase();
+    const language = env.STT_LANGUAGE || null;
+
+    switch (provider) {
+        case 'whisper-cpp':
+        case 'whispercpp':
+            return new WhisperCppSTTProvider({ url: env.WHISPER_CPP_URL, language });
+        case 'mock':
+            return new MockSTTProvider({
+                responses: env.STT_MOCK_RESPONSES ? env.STT_MOCK_RESPONSES.split('|') : undefined
+            });
+        case 'openai':
+            return new OpenAICompatibleSTTProvider({
+                baseURL: env.STT_BASE_URL || 'https://openai.inference.de-txl.ionos.com/v1',
+                apiKey: env.STT_API_KEY || env.IONOS_API_TOKEN,
+                model: env.STT_MODEL || 'whisper-1',
+                language
+            });
+        default:
+            throw new Error(`Unknown STT_PROVIDER: ${provider}`);
+    }
+}
@@ -0,0 +1,271 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { PCM_SAMPLE_RATE, muLawDecode, muLawEncode, resamplePcm } from './audio-utils.js';
+import { VoiceActivityDetector } from './vad.js';
+import { VoicePipeline } from './voice-pipeline.js';
+
+const TELEPHONY_SAMPLE_RATE = 8000;
+const OUTBOUND_CHUNK_BYTES = 8000; // one second of 8 kHz μ-law per media message
+
+function safeEqual(received, expected) {
+    const a = Buffer.from(received || '', 'utf8');
+    const b = Buffer.from(expected || '', 'utf8');
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// X-Twilio-Signature: base64 HMAC-SHA1 (keyed with the auth token) of the full URL followed by
+// every POST parameter as name + value, sorted by name
+export function verifyTwilioSignature(authToken, signature, url, params = {}) {
+    if (!authToken || !signature) return false;
+
+    const data = Object.keys(params).sort().reduce((text, name) => text + name + params[name], url);
+    const expected = createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+    return safeEqual(signature, expected);
+}
+
+// WebSocket endpoint speaking the Twilio Media Streams protocol.
+// Inbound `media` frames (base64 8 kHz μ-law) are transcoded to 16 kHz PCM and run through the
+// same VAD -> STT -> LLM -> TTS flow as the Socket.IO RealTimeVoiceProcessor. Speech goes back
+// as μ-law `media` followed by a `mark` per sentence, so we know what the caller actually heard
+// when they talk over the assistant. Every call costs STT, LLM and TTS credits, so upgrades must
+// carry a valid Twilio signature or the shared stream token; with neither configured the bridge
+// accepts nothing.
+export class TelephonyBridge {
+    constructor(httpServer, { path = '/media-stream', stt, llm, tts, metricsStore = null, responseGuard = null, contextManager = null, vad = {}, maxBufferedBytes, twilioAuthToken = null, streamToken = null, publicHost = null }) {
+        this.path = path;
+        this.twilioAuthToken = twilioAuthToken;
+        this.streamToken = streamToken;
+        this.publicHost = publicHost;
+        this.stt = stt;
+        this.llm = llm;
+        this.tts = tts;
+        this.metricsStore = metricsStore;
+        this.responseGuard = responseGuard;
+        this.contextManager = contextManager;
+        this.vadOptions = vad;
+        this.maxBufferedBytes = maxBufferedBytes;
+        this.calls = new Set();
+
+        // noServer: a path-bound WebSocketServer would reject Socket.IO's upgrades on the same port
+        this.wss = new WebSocketServer({ noServer: true });
+        httpServer.on('upgrade', (req, socket, head) => {
+            if (new URL(req.url, 'http://localhost').pathname !== this.path) return;
+
+            if (!this.isAuthorizedUpgrade(req)) {
+                console.warn(`Rejected media stream connection from ${req.socket.remoteAddress}`);
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws));
+        });
+    }
+
+    get enabled() {
+        return Boolean(this.twilioAuthToken || this.streamToken);
+    }
+
+    // Twilio signs its handshake over the wss:// URL it dialled; other clients such as
+    // fake-media-stream.js send the stream token as a bearer token
+    isAuthorizedUpgrade(req) {
+        const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (this.streamToken && safeEqual(bearer, this.streamToken)) return true;
+
+        const url = `wss://${this.publicHost || req.headers.host}${req.url}`;
+        return verifyTwilioSignature(this.twilioAuthToken, req.headers['x-twilio-signature'], url);
+    }
+
+    handleConnection(ws) {
+        const call = {
+            ws,
+            streamSid: null,
+            callSid: null,
+            vad: new VoiceActivityDetector(this.vadOptions),
+            audioChunks: [],
+            bufferedBytes: 0,
+            utteranceId: 0,
+            pipeline: null,
+            outstandingMarks: new Map(), // mark name -> { turnId, text }
+            heard: new Map()             // turnId -> sentences the caller has heard
+        };
+        this.calls.add(call);
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                console.warn('Ignoring malformed media stream message');
+                return;
+            }
+            this.handleMessage(call, message);
+        });
+
+        ws.on('close', () => this.endCall(call));
+        ws.on('error', (error) => {
+            console.error('Media stream socket error:', error.message);
+        });
+    }
+
+    handleMessage(call, message) {
+        switch (message.event) {
+            case 'connected':
+                break;
+            case 'start':
+                this.startCall(call, message.start || {});
+                break;
+            case 'media':
+                this.processMedia(call, message.media || {});
+                break;
+            case 'mark':
+                this.handleMark(call, message.mark?.name);
+                break;
+            case 'stop':
+                this.endCall(call);
+                call.ws.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    startCall(call, start) {
+        call.streamSid = start.streamSid;
+        call.callSid = start.callSid || start.streamSid;
+
+        const encoding = start.mediaFormat?.encoding;
+        if (encoding && encoding !== 'audio/x-mulaw') {
+            console.warn(`Unexpected media stream encoding: ${encoding}`);
+        }
+
+        call.pipeline = new VoicePipeline({
+            sessionId: `call_${call.callSid}`,
+            stt: this.stt,
+            llm: this.llm,
+            tts: this.tts,
+            metricsStore: this.metricsStore,
+            responseGuard: this.responseGuard,
+            guardContext: { route: 'telephony', provider: this.llm.name },
+            contextManager: this.contextManager,
+            sampleRate: PCM_SAMPLE_RATE,
+            emit: (event, payload) => this.handlePipelineEvent(call, event, payload)
+        });
+
+        console.log(`Phone call started: ${call.callSid} (stream ${call.streamSid})`);
+    }
+
+    processMedia(call, media) {
+        if (!call.pipeline || !media.payload) return;
+        if (media.track && media.track !== 'inbound') return;
+
+        const pcm = resamplePcm(muLawDecode(Buffer.from(media.payload, 'base64')), TELEPHONY_SAMPLE_RATE, PCM_SAMPLE_RATE);
+
+        for (const event of call.vad.process(pcm)) {
+            if (event.type === 'speech-start') {
+                call.utteranceId++;
+                call.audioChunks = [event.audio];
+                call.bufferedBytes = event.audio.length;
+                this.bargeIn(call);
+            } else if (event.type === 'speech') {
+                call.audioChunks.push(event.audio);
+                call.bufferedBytes += event.audio.length;
+            } else if (event.type === 'speech-end') {
+                this.processSpeechEnd(call);
+            }
+        }
+
+        // Never hold more than the cap; answer what we have instead
+        if (this.maxBufferedBytes && call.bufferedBytes > this.maxBufferedBytes) {
+            call.vad.flush('buffer-limit');
+            this.processSpeechEnd(call);
+        }
+    }
+
+    processSpeechEnd(call) {
+        const audioChunks = call.audioChunks;
+        call.audioChunks = [];
+        call.bufferedBytes = 0;
+
+        if (audioChunks.length === 0) return;
+
+        call.pipeline.runTurn(Buffer.concat(audioChunks), { utteranceId: call.utteranceId, speechEndedAt: Date.now() })
+            .catch((error) => {
+                console.error('Error processing phone speech:', error);
+            });
+    }
+
+    handlePipelineEvent(call, event, payload) {
+        if (event === 'agent-audio' && payload.audio) {
+            this.sendSpeech(call, payload);
+        } else if (event === 'turn-cancelled') {
+            this.clearPlayback(call);
+        } else if (event === 'transcript-final') {
+            console.log(`Caller (${call.callSid}): ${payload.text}`);
+        } else if (event === 'agent-response') {
+            console.log(`Assistant (${call.callSid}): ${payload.response}`);
+        }
+    }
+
+    sendSpeech(call, { turnId, index, text, audio }) {
+        if (index === 0) {
+            call.heard.clear();
+        }
+
+        const muLaw = muLawEncode(resamplePcm(audio, PCM_SAMPLE_RATE, TELEPHONY_SAMPLE_RATE));
+
+        for (let offset = 0; offset < muLaw.length; offset += OUTBOUND_CHUNK_BYTES) {
+            this.send(call, {
+                event: 'media',
+                streamSid: call.streamSid,
+                media: { payload: muLaw.subarray(offset, offset + OUTBOUND_CHUNK_BYTES).toString('base64') }
+            });
+        }
+
+        // The caller's side echoes the mark once playback reaches it
+        const name = `${turnId}:${index}`;
+        call.outstandingMarks.set(name, { turnId, text });
+        this.send(call, { event: 'mark', streamSid: call.streamSid, mark: { name } });
+    }
+
+    handleMark(call, name) {
+        const played = call.outstandingMarks.get(name);
+        if (!played) return;
+
+        call.outstandingMarks.delete(name);
+        const heard = call.heard.get(played.turnId) || [];
+        heard.push(played.text);
+        call.heard.set(played.turnId, heard);
+    }
+
+    // The caller started talking while the assistant was still being played
+    bargeIn(call) {
+        const [pending] = call.outstandingMarks.values();
+        if (!pending) return;
+
+        const spokenText = (call.heard.get(pending.turnId) || []).join(' ');
+        this.clearPlayback(call);
+        call.pipeline.interrupt(pending.turnId, spokenText);
+        console.log(`Caller barged in on turn ${pending.turnId}: ${call.callSid}`);
+    }
+
+    clearPlayback(call) {
+        if (call.outstandingMarks.size === 0) return;
+
+        call.outstandingMarks.clear();
+        this.send(call, { event: 'clear', streamSid: call.streamSid });
+    }
+
+    send(call, message) {
+        if (call.ws.readyState === call.ws.OPEN) {
+            call.ws.send(JSON.stringify(message));
+        }
+    }
+
+    endCall(call) {
+        if (!this.calls.delete(call)) return;
+
+        call.pipeline?.cancel('hangup');
+        this.contextManager?.forget(call.pipeline?.sessionId);
+        console.log(`Phone call ended: ${call.callSid || 'before start'}`);
+    }
+}
@@ -0,0 +1,62 @@
+// Token counts with each model family's own tokenizer. The vocabularies are large (Llama 3's
+// alone takes over 100 MB in memory), so a tokenizer is loaded the first time its family is used.
+
+const TOKENIZERS = [
+    {
+        family: 'llama3',
+        match: /llama-?3/i,
+        load: async () => {
+            const { default: tokenizer } = await import('llama3-tokenizer-js');
+            return (text) => tokenizer.encode(text, { bos: false, eos: false }).length;
+        }
+    },
+    {
+        family: 'llama',
+        match: /llama/i,
+        load: async () => {
+            const { default: tokenizer } = await import('llama-tokenizer-js');
+            return (text) => tokenizer.encode(text, false).length;
+        }
+    },
+    {
+        family: 'mistral',
+        match: /mi[sx]tral/i,
+        load: async () => {
+            const { default: tokenizer } = await import('mistral-tokenizer-js');
+            return (text) => tokenizer.encode(text, false).length;
+        }
+    },
+    {
+        family: 'o200k',
+        match: /gpt-4o|gpt-4\.1|gpt-5|\bo[134]\b|\bo[134]-/i,
+        load: async () => {
+            const { countTokens } = await import('gpt-tokenizer/encoding/o200k_base');
+            return countTokens;
+        }
+    },
+    // Older OpenAI models, and the closest public tokenizer for families without one here
+    {
+        family: 'cl100k',
+        match: /.*/,
+        load: async () => {
+            const { countTokens } = await import('gpt-tokenizer/encoding/cl100k_base');
+            return countTokens;
+        }
+    }
+];
+
+const loaded = new Map();   // family -> Promise<(text) => number>
+
+// -> (text) => number of tokens the model's tokenizer makes of text
+export function tokenCounter(model) {
+    const { family, load } = TOKENIZERS.find(entry => entry.match.test(model || ''));
+
+    if (!loaded.has(family)) {
+        const loading = load().catch((error) => {
+            loaded.delete(family);
+            throw error;
+        });
+        loaded.set(family, loading);
+    }
+    return loaded.get(family);
+}
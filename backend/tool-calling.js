@@ -0,0 +1,201 @@
+// Bounded tool-calling loop around a chat completion. Models with native tool calling get the
+// registry as OpenAI-style `tools` and answer with `tool_calls`; every other model is taught a
+// plain-text protocol (TOOL_CALL / TOOL_RESULT lines) in its system prompt. Either way the loop
+// runs the requested tools, feeds the results back and stops after maxSteps rounds of calls.
+
+const TOOL_CALL_PATTERN = /TOOL_CALL\s*(\{[\s\S]*\})/;
+
+// Streamed text-protocol replies are held back while they may still turn into a tool call
+function mayBeToolCall(text) {
+    const start = text.trimStart();
+    return start.startsWith('TOOL_CALL') || 'TOOL_CALL'.startsWith(start);
+}
+
+function textProtocolPrompt(tools) {
+    const list = tools.map(tool => `- ${tool.name}: ${tool.description}\n  arguments (JSON schema): ${JSON.stringify(tool.parameters)}`);
+
+    return 'You can use these tools:\n' + list.join('\n') + '\n\n' +
+        'To use a tool, reply with one line and nothing else:\n' +
+        'TOOL_CALL {"name": "<tool name>", "arguments": {<arguments>}}\n' +
+        'The result comes back in a message starting with TOOL_RESULT. Then answer the user or call another tool. ' +
+        'Answer directly when no tool is needed, and never mention this protocol.';
+}
+
+// A TOOL_CALL line in a text reply -> tool call, or null for an ordinary answer
+export function parseTextToolCall(content, step) {
+    const match = TOOL_CALL_PATTERN.exec(content || '');
+    if (!match) return null;
+
+    try {
+        const { name, arguments: args = {} } = JSON.parse(match[1]);
+        return { id: `text_${step}`, name: String(name), arguments: args };
+    } catch {
+        return { id: `text_${step}`, name: 'unknown', arguments: null };
+    }
+}
+
+// A 400 whose body is about `tools` or `tool_choice`; other 400s (context length, bad parameters)
+// say nothing about the model's tool support
+function rejectsTools(error) {
+    if (error.response?.status !== 400) return false;
+
+    const body = error.response.data;
+    return /tool/i.test(typeof body === 'string' ? body : JSON.stringify(body ?? ''));
+}
+
+export class ToolCallingLoop {
+    // supportsNativeTools(provider, model) -> boolean, e.g. from the model catalog
+    constructor(registry, { maxSteps = 4, supportsNativeTools = (provider) => provider.supportsTools } = {}) {
+        this.registry = registry;
+        this.maxSteps = maxSteps;
+        this.supportsNativeTools = supportsNativeTools;
+        this.rejectedNative = new Set();   // provider/model pairs that refused `tools`
+    }
+
+    useNativeTools(provider, model) {
+        return provider.supportsTools &&
+            !this.rejectedNative.has(`${provider.name}/${model}`) &&
+            this.supportsNativeTools(provider, model);
+    }
+
+    async execute(call, context) {
+        const startedAt = Date.now();
+        const record = { id: call.id, name: call.name, arguments: call.arguments };
+
+        try {
+            if (call.arguments === null) {
+                throw new Error('Tool arguments are not valid JSON');
+            }
+            record.result = await this.registry.call(call.name, call.arguments, context);
+        } catch (error) {
+            record.error = error.message;
+        }
+
+        record.ms = Date.now() - startedAt;
+        console.log(`Tool ${call.name} ${record.error ? `failed: ${record.error}` : 'answered'} (${record.ms}ms)`);
+        return record;
+    }
+
+    // One model turn -> { content, toolCalls }. onDelta gets the text meant for the user as it streams.
+    async complete(provider, conversation, model, { native, lastStep, step, signal, generation, onDelta }) {
+        if (native) {
+            const options = { ...generation, signal, tools: lastStep ? undefined : this.registry.toOpenAITools() };
+            if (!onDelta) {
+                return provider.getChatMessage(conversation, model, options);
+            }
+
+            let content = '';
+            let toolCalls = [];
+            for await (const part of provider.streamChatMessage(conversation, model, options)) {
+                if (part.content) {
+                    content += part.content;
+                    onDelta(part.content);
+                }
+                if (part.toolCalls) toolCalls = part.toolCalls;
+            }
+            return { content, toolCalls };
+        }
+
+        // Once text has gone out it is the answer, even if a TOOL_CALL shows up further on
+        let content = '';
+        let forwarded = false;
+        if (!onDelta) {
+            content = await provider.getChatCompletion(conversation, model, { ...generation, signal }) || '';
+        } else {
+            for await (const delta of provider.streamChatCompletion(conversation, model, { ...generation, signal })) {
+                content += delta;
+                if (forwarded) {
+                    onDelta(delta);
+                } else if (!mayBeToolCall(content)) {
+                    forwarded = true;
+                    onDelta(content);
+                }
+            }
+        }
+
+        const call = lastStep || forwarded ? null : parseTextToolCall(content, step);
+        const answer = call ? '' : content.replace(TOOL_CALL_PATTERN, '').trim();
+        if (onDelta && !forwarded && answer) {
+            onDelta(answer);
+        }
+        return { content: forwarded ? content : answer, toolCalls: call ? [call] : [] };
+    }
+
+    // -> { text, toolCalls: [{ id, name, arguments, result | error, ms }] }
+    // onDelta: stream the answer; tool rounds run in between and the text is everything streamed
+    async run(provider, messages, model, { signal, generation = {}, context = {}, onDelta = null } = {}) {
+        if (this.registry.size === 0) {
+            if (!onDelta) {
+                return { text: await provider.getChatCompletion(messages, model, { ...generation, signal }), toolCalls: [] };
+            }
+            let text = '';
+            for await (const delta of provider.streamChatCompletion(messages, model, { ...generation, signal })) {
+                text += delta;
+                onDelta(delta);
+            }
+            return { text, toolCalls: [] };
+        }
+
+        let streamed = '';
+        const forward = onDelta && ((delta) => {
+            streamed += delta;
+            onDelta(delta);
+        });
+
+        let native = this.useNativeTools(provider, model);
+        let conversation = native ? [...messages] : this.withTextProtocol(messages);
+        const toolCalls = [];
+
+        for (let step = 0; ; step++) {
+            const lastStep = step >= this.maxSteps;
+            if (lastStep && toolCalls.length > 0) {
+                conversation.push({ role: 'user', content: 'Answer the user now, without calling any more tools.' });
+            }
+
+            let reply;
+            try {
+                reply = await this.complete(provider, conversation, model, { native, lastStep, step, signal, generation, onDelta: forward });
+            } catch (error) {
+                // Servers whose model has no tool support reject the request; switch protocols once
+                if (!native || !rejectsTools(error) || step > 0) throw error;
+                console.warn(`${provider.name}/${model} rejected native tools, using the text protocol`);
+                this.rejectedNative.add(`${provider.name}/${model}`);
+                native = false;
+                conversation = this.withTextProtocol(messages);
+                step--;
+                continue;
+            }
+
+            if (reply.toolCalls.length === 0 || lastStep) {
+                return { text: forward ? streamed : reply.content, toolCalls };
+            }
+
+            const results = [];
+            for (const call of reply.toolCalls) {
+                results.push(await this.execute(call, context));
+            }
+            toolCalls.push(...results);
+
+            if (native) {
+                conversation.push(provider.toolCallMessage(reply));
+                for (const result of results) {
+                    conversation.push(provider.toolResultMessage(result, JSON.stringify(result.error ? { error: result.error } : result.result)));
+                }
+            } else {
+                const [result] = results;
+                conversation.push({ role: 'assistant', content: `TOOL_CALL ${JSON.stringify({ name: result.name, arguments: result.arguments })}` });
+                conversation.push({ role: 'user', content: `TOOL_RESULT ${result.name}: ${JSON.stringify(result.error ? { error: result.error } : result.result)}` });
+            }
+        }
+    }
+
+    // The protocol goes at the end of the system prompt so the persona stays first
+    withTextProtocol(messages) {
+        const prompt = textProtocolPrompt(this.registry.describe());
+        const [first, ...rest] = messages;
+
+        return first?.role === 'system'
+            ? [{ ...first, content: `${first.content}\n\n${prompt}` }, ...rest]
+            : [{ role: 'system', content: prompt }, ...messages];
+    }
+}
@@ -0,0 +1,191 @@
+import { PCM_SAMPLE_RATE } from './audio-utils.js';
+
+export const DEFAULT_VAD_OPTIONS = {
+    sampleRate: PCM_SAMPLE_RATE,
+    frameMs: 20,
+    energyThreshold: 0.015,   // RMS (0-1) above which a frame counts as voiced
+    zcrThreshold: 0.25,       // zero-crossing rate that marks quieter unvoiced speech (s, f, sh)
+    noiseMultiplier: 3,       // adaptive threshold = noise floor * multiplier
+    minSpeechMs: 100,         // speech needed before speech-start fires
+    hangoverMs: 500,          // silence needed before speech-end fires
+    prePaddingMs: 200,        // audio kept from before speech-start
+    postPaddingMs: 200,       // trailing silence kept after speech-end
+    maxUtteranceMs: 15000     // force an utterance boundary after this long
+};
+
+// Client-tunable options and their allowed ranges
+const VAD_LIMITS = {
+    energyThreshold: [0.001, 0.5],
+    zcrThreshold: [0.05, 0.9],
+    noiseMultiplier: [1, 10],
+    minSpeechMs: [20, 2000],
+    hangoverMs: [100, 5000],
+    prePaddingMs: [0, 1000],
+    postPaddingMs: [0, 1000],
+    maxUtteranceMs: [1000, 60000]
+};
+
+// Merge client-supplied VAD settings with defaults, clamping anything out of range
+export function resolveVadOptions(overrides = {}) {
+    const options = { ...DEFAULT_VAD_OPTIONS };
+
+    for (const [key, [min, max]] of Object.entries(VAD_LIMITS)) {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && Number.isFinite(value)) {
+            options[key] = Math.max(min, Math.min(max, value));
+        }
+    }
+
+    return options;
+}
+
+// Frame-level energy + zero-crossing voice activity detector for 16-bit mono PCM.
+// process() returns events in order:
+//   { type: 'speech-start', audio }  audio = pre-padding plus the frames that triggered it
+//   { type: 'speech', audio }        a frame belonging to the current utterance
+//   { type: 'speech-end', durationMs, reason }
+export class VoiceActivityDetector {
+    constructor(options = {}, sampleRate = PCM_SAMPLE_RATE) {
+        this.options = { ...resolveVadOptions(options), sampleRate };
+
+        const msToFrames = (ms) => Math.ceil(ms / this.options.frameMs);
+        this.frameBytes = Math.round(this.options.sampleRate * this.options.frameMs / 1000) * 2;
+        this.minSpeechFrames = Math.max(1, msToFrames(this.options.minSpeechMs));
+        this.hangoverFrames = Math.max(1, msToFrames(this.options.hangoverMs));
+        this.prePaddingFrames = msToFrames(this.options.prePaddingMs);
+        this.postPaddingFrames = msToFrames(this.options.postPaddingMs);
+        this.maxUtteranceFrames = msToFrames(this.options.maxUtteranceMs);
+
+        this.reset();
+    }
+
+    reset() {
+        this.remainder = Buffer.alloc(0);
+        this.isSpeaking = false;
+        this.preRoll = [];
+        this.candidateFrames = [];
+        this.pendingSilence = [];
+        this.utteranceFrames = 0;
+        this.noiseFloor = null;
+    }
+
+    process(chunk) {
+        const events = [];
+        const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, chunk]) : chunk;
+
+        let offset = 0;
+        while (offset + this.frameBytes <= data.length) {
+            this.processFrame(data.subarray(offset, offset + this.frameBytes), events);
+            offset += this.frameBytes;
+        }
+
+        this.remainder = Buffer.from(data.subarray(offset));
+        return events;
+    }
+
+    // Close any open utterance, e.g. when the client stops streaming
+    flush(reason = 'flush') {
+        if (!this.isSpeaking) return [];
+        const events = [];
+        this.endSpeech(events, reason);
+        return events;
+    }
+
+    processFrame(frame, events) {
+        const isSpeech = this.classify(frame);
+
+        if (!this.isSpeaking) {
+            if (isSpeech) {
+                this.candidateFrames.push(frame);
+                if (this.candidateFrames.length >= this.minSpeechFrames) {
+                    this.isSpeaking = true;
+                    this.utteranceFrames = this.candidateFrames.length;
+                    events.push({
+                        type: 'speech-start',
+                        audio: Buffer.concat([...this.preRoll, ...this.candidateFrames])
+                    });
+                    this.preRoll = [];
+                    this.candidateFrames = [];
+                }
+            } else {
+                // A short burst that never reached minSpeechMs becomes pre-roll
+                this.preRoll.push(...this.candidateFrames, frame);
+                this.candidateFrames = [];
+                if (this.preRoll.length > this.prePaddingFrames) {
+                    this.preRoll.splice(0, this.preRoll.length - this.prePaddingFrames);
+                }
+            }
+            return;
+        }
+
+        this.utteranceFrames++;
+
+        if (isSpeech) {
+            for (const silentFrame of this.pendingSilence) {
+                events.push({ type: 'speech', audio: silentFrame });
+            }
+            this.pendingSilence = [];
+            events.push({ type: 'speech', audio: frame });
+        } else {
+            this.pendingSilence.push(frame);
+            if (this.pendingSilence.length >= this.hangoverFrames) {
+                this.endSpeech(events, 'silence');
+                return;
+            }
+        }
+
+        if (this.utteranceFrames >= this.maxUtteranceFrames) {
+            this.endSpeech(events, 'max-duration');
+        }
+    }
+
+    endSpeech(events, reason) {
+        for (const silentFrame of this.pendingSilence.slice(0, this.postPaddingFrames)) {
+            events.push({ type: 'speech', audio: silentFrame });
+        }
+
+        events.push({
+            type: 'speech-end',
+            durationMs: this.utteranceFrames * this.options.frameMs,
+            reason
+        });
+
+        this.isSpeaking = false;
+        this.pendingSilence = [];
+        this.utteranceFrames = 0;
+    }
+
+    classify(frame) {
+        const samples = frame.length / 2;
+        let sumSquares = 0;
+        let crossings = 0;
+        let previous = 0;
+
+        for (let i = 0; i < samples; i++) {
+            const sample = frame.readInt16LE(i * 2) / 32768;
+            sumSquares += sample * sample;
+            if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+                crossings++;
+            }
+            previous = sample;
+        }
+
+        const rms = Math.sqrt(sumSquares / samples);
+        const zcr = crossings / samples;
+
+        const threshold = this.noiseFloor === null
+            ? this.options.energyThreshold
+            : Math.max(this.options.energyThreshold, this.noiseFloor * this.options.noiseMultiplier);
+
+        const voiced = rms >= threshold;
+        const unvoiced = rms >= threshold * 0.5 && zcr >= this.options.zcrThreshold;
+        const isSpeech = voiced || unvoiced;
+
+        // Track the background level while nobody is talking
+        if (!isSpeech && !this.isSpeaking) {
+            this.noiseFloor = this.noiseFloor === null ? rms : this.noiseFloor * 0.95 + rms * 0.05;
+        }
+
+        return isSpeech;
+    }
+}
@@ -9,6 +9,7 @@ import axios from 'axios';
 import FormData from 'form-data';
 import voice from 'elevenlabs-node';
 import dotenv from 'dotenv';
+import { createLLMProviders } from './llm-providers.js';
 
 dotenv.config();
 
@@ -23,6 +24,7 @@ class VoiceAssistant {
         this.voiceId = process.env.ELEVEN_LABS_VOICE_ID;
         this.keyword = process.env.KEYWORD || 'assistant';
         this.silenceDuration = parseInt(process.env.SILENCE_DURATION) || 6;
+        this.llm = createLLMProviders().resolve();
 
         this.micInstance = null;
         this.micInputStream = null;
@@ -165,26 +167,12 @@ class VoiceAssistant {
     }
 
     async getChatCompletion(message) {
-        try {
-            console.log("🧠 Getting response from IONOS AI...");
-
-            const response = await axios.post(`${this.baseURL}/chat/completions`, {
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    { role: 'system', content: 'You are a helpful voice assistant. Keep responses concise and conversational, under 100 words.' },
-                    { role: 'user', content: message }
-                ],
-                max_tokens: 150,
-                temperature: 0.7
-            }, {
-                headers: this.headers
-            });
+        console.log(`🧠 Getting response from ${this.llm.provider.name} (${this.llm.model})...`);
 
-            return response.data.choices[0].message.content;
-        } catch (error) {
-            console.error('Chat completion error:', error.response?.data || error.message);
-            throw error;
-        }
+        return this.llm.provider.getChatCompletion([
+            { role: 'system', content: 'You are a helpful voice assistant. Keep responses concise and conversational, under 100 words.' },
+            { role: 'user', content: message }
+        ], this.llm.model);
     }
 
     async convertTextToSpeech(text) {
@@ -217,14 +205,13 @@ class VoiceAssistant {
     async checkServices() {
         console.log("🔍 Checking service availability...");
 
+        const { provider } = this.llm;
         try {
-            const modelsResponse = await axios.get(`${this.baseURL}/models`, {
-                headers: this.headers
-            });
-            console.log("✅ IONOS AI Model Hub: Connected");
-            console.log("📋 Available models:", modelsResponse.data.data.map(m => m.id).join(', '));
+            const models = await provider.listModels();
+            console.log(`✅ LLM provider ${provider.name}: Connected`);
+            console.log("📋 Available models:", models.data.map(m => m.id).join(', '));
         } catch (error) {
-            console.error("❌ IONOS AI Model Hub: Connection failed", error.message);
+            console.error(`❌ LLM provider ${provider.name}: Connection failed`, error.message);
         }
 
         if (this.elevenLabsApiKey) {
@@ -0,0 +1,235 @@
+import { SentenceSplitter } from './sentence-splitter.js';
+import { PCM_SAMPLE_RATE } from './audio-utils.js';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful voice assistant. Keep responses concise and conversational.';
+
+// Per-session STT -> streaming LLM -> sentence TTS chain.
+// Each turn owns an AbortController so a new utterance (or an explicit cancel) stops
+// in-flight LLM and TTS work. Stage boundaries are time-stamped and reported as turn metrics.
+export class VoicePipeline {
+    constructor({ sessionId, stt, llm, tts, emit, metricsStore = null, responseGuard = null, guardContext = {}, contextManager = null, systemPrompt = DEFAULT_SYSTEM_PROMPT, maxHistory = 10, sampleRate = PCM_SAMPLE_RATE }) {
+        this.sessionId = sessionId;
+        this.sampleRate = sampleRate;
+        this.stt = stt;
+        this.llm = llm;
+        this.tts = tts;
+        this.emit = emit;
+        this.metricsStore = metricsStore;
+        this.responseGuard = responseGuard;
+        this.guardContext = guardContext;
+        this.contextManager = contextManager;
+        this.systemPrompt = systemPrompt;
+        this.maxHistory = maxHistory;
+
+        this.history = [];
+        this.currentTurn = null;
+        this.lastCompletedTurnId = null;
+        this.turnCount = 0;
+    }
+
+    get isBusy() {
+        return this.currentTurn !== null;
+    }
+
+    cancel(reason = 'cancelled') {
+        const turn = this.currentTurn;
+        if (!turn) return;
+
+        turn.controller.abort();
+        this.currentTurn = null;
+        this.emit('turn-cancelled', { sessionId: this.sessionId, turnId: turn.id, reason });
+        console.log(`Turn ${turn.id} cancelled (${reason}): ${this.sessionId}`);
+    }
+
+    // Barge-in: stop the turn and keep only what the user actually heard in the history
+    interrupt(turnId, spokenText = '') {
+        const heard = `${spokenText}…`;
+        const turn = this.currentTurn;
+
+        if (turn && turn.id === turnId) {
+            if (turn.transcription) {
+                this.appendHistory(turn.transcription, heard);
+            }
+            this.cancel('barge-in');
+        } else if (turnId === this.lastCompletedTurnId) {
+            const last = this.history[this.history.length - 1];
+            if (last?.role === 'assistant') {
+                last.content = heard;
+            }
+        } else {
+            return false;
+        }
+
+        this.emit('turn-interrupted', { sessionId: this.sessionId, turnId, spokenText });
+        return true;
+    }
+
+    appendHistory(userText, assistantText) {
+        const turns = [{ role: 'user', content: userText }, { role: 'assistant', content: assistantText }];
+
+        // With a context manager the full history is kept and older turns end up in its summary
+        if (this.contextManager) {
+            this.contextManager.append(this.sessionId, this.history, ...turns);
+            return;
+        }
+
+        this.history.push(...turns);
+        if (this.history.length > this.maxHistory) {
+            this.history = this.history.slice(-this.maxHistory);
+        }
+    }
+
+    async runTurn(pcmAudio, { utteranceId = null, speechEndedAt = Date.now() } = {}) {
+        // Full duplex: a newer utterance supersedes whatever is still being answered
+        this.cancel('superseded');
+
+        const turn = {
+            id: ++this.turnCount,
+            controller: new AbortController(),
+            marks: { speechEnd: speechEndedAt }
+        };
+        this.currentTurn = turn;
+        const { signal } = turn.controller;
+
+        try {
+            this.emit('processing-audio', { sessionId: this.sessionId, turnId: turn.id });
+
+            const transcription = await this.stt.transcribePcm(pcmAudio, this.sampleRate);
+            if (signal.aborted) return null;
+
+            turn.marks.transcriptFinal = Date.now();
+            turn.transcription = transcription;
+            this.emit('transcript-final', { sessionId: this.sessionId, utteranceId, text: transcription });
+
+            if (!transcription) return null;
+
+            const response = await this.respond(transcription, turn);
+            if (signal.aborted) return null;
+
+            // Every sentence was blocked: nothing was said, so there is no reply to keep
+            if (!response) {
+                this.emit('turn-cancelled', { sessionId: this.sessionId, turnId: turn.id, reason: 'no-reply' });
+                return null;
+            }
+
+            // Sentences were checked one by one before TTS; the reply as spoken is recorded as a whole
+            this.responseGuard?.check(response, { ...this.guardContext, message: transcription, history: this.history });
+
+            this.appendHistory(transcription, response);
+            this.lastCompletedTurnId = turn.id;
+
+            this.emit('agent-response', {
+                sessionId: this.sessionId,
+                turnId: turn.id,
+                transcription,
+                response
+            });
+
+            this.reportMetrics(turn);
+            return { transcription, response };
+        } catch (error) {
+            if (signal.aborted) return null;
+            throw error;
+        } finally {
+            if (this.currentTurn === turn) {
+                this.currentTurn = null;
+            }
+        }
+    }
+
+    async respond(transcription, turn) {
+        const { signal } = turn.controller;
+        const model = this.llm.resolveModel();
+        const messages = this.contextManager
+            ? await this.contextManager.build({ sessionId: this.sessionId, model, systemPrompt: this.systemPrompt, history: this.history, message: transcription })
+            : [
+                { role: 'system', content: this.systemPrompt },
+                ...this.history,
+                { role: 'user', content: transcription }
+            ];
+
+        const splitter = new SentenceSplitter();
+        const spoken = [];
+        let sentenceIndex = 0;
+        let audioChain = Promise.resolve();
+
+        // Sentences are synthesized in parallel but delivered to the client in order
+        const speak = (text) => {
+            const index = sentenceIndex++;
+            const onFirstByte = index === 0 ? () => { turn.marks.firstAudioByte ??= Date.now(); } : undefined;
+            const tts = this.tts.generateSpeech(text, { signal, onFirstByte })
+                .then(speech => ({ speech }), error => ({ error }));
+
+            audioChain = audioChain.then(async () => {
+                const { speech, error } = await tts;
+                if (signal.aborted) return;
+
+                if (error) {
+                    console.error('Pipeline TTS failed:', error.message);
+                    return;
+                }
+
+                // TTS backends hand back either a playable URL or raw PCM (telephony)
+                const audio = typeof speech === 'string' ? { url: speech } : { audio: speech };
+                this.emit('agent-audio', { sessionId: this.sessionId, turnId: turn.id, index, text, ...audio });
+            });
+        };
+
+        // Text goes out a sentence at a time so a sentence the guard blocks is neither shown nor spoken
+        const say = (sentence) => {
+            if (this.isBlocked(sentence, transcription)) return;
+
+            this.emit('agent-text-delta', { sessionId: this.sessionId, turnId: turn.id, delta: spoken.length > 0 ? ` ${sentence}` : sentence });
+            spoken.push(sentence);
+            speak(sentence);
+        };
+
+        for await (const delta of this.llm.streamChatCompletion(messages, model, { signal })) {
+            turn.marks.firstToken ??= Date.now();
+            splitter.push(delta).forEach(say);
+        }
+        if (signal.aborted) return '';
+        splitter.flush().forEach(say);
+
+        await audioChain;
+        turn.marks.turnComplete = Date.now();
+
+        return spoken.join(' ');
+    }
+
+    // Spoken audio can't be taken back, so a sentence the guard would retry or fall back on is dropped
+    isBlocked(sentence, transcription) {
+        if (!this.responseGuard) return false;
+
+        const { action } = this.responseGuard.checkSentence(sentence, { ...this.guardContext, message: transcription, history: this.history });
+        return action === 'retry' || action === 'fallback';
+    }
+
+    reportMetrics(turn) {
+        const { speechEnd, transcriptFinal, firstToken, firstAudioByte, turnComplete } = turn.marks;
+        const between = (from, to) => (from && to ? to - from : null);
+
+        const metrics = {
+            sessionId: this.sessionId,
+            turnId: turn.id,
+            timestamps: turn.marks,
+            latency: {
+                stt: between(speechEnd, transcriptFinal),
+                firstToken: between(transcriptFinal, firstToken),
+                firstAudio: between(firstToken, firstAudioByte),
+                speechEndToFirstAudio: between(speechEnd, firstAudioByte),
+                total: between(speechEnd, turnComplete)
+            }
+        };
+
+        this.emit('turn-metrics', metrics);
+
+        if (this.metricsStore) {
+            try {
+                this.metricsStore.record(metrics);
+            } catch (error) {
+                console.warn('Failed to store turn metrics:', error.message);
+            }
+        }
+    }
+}
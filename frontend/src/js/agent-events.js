@@ -0,0 +1,91 @@
+// Live ElevenLabs agent events (transcripts, corrections, tool calls) relayed by the backend.
+// The server only lets a socket follow a conversation with the token it issued for it.
+import { io } from "https://cdn.socket.io/4.7.0/socket.io.esm.min.js";
+
+const SUBSCRIBE_TIMEOUT_MS = 5000;
+
+export class AgentEventStream {
+    constructor(apiBaseUrl) {
+        this.conversationId = null;
+        this.token = null;
+        this.handlers = {};
+
+        this.socket = io(apiBaseUrl.replace('/api', ''), {
+            transports: ['websocket']
+        });
+
+        // Rooms belong to a connection, so follow the conversation again after a reconnect
+        this.socket.on('connect', () => {
+            if (this.conversationId && this.token) {
+                this.subscribe({ conversationId: this.conversationId, token: this.token });
+            }
+        });
+
+        this.socket.on('agent-event', (event) => {
+            if (event.conversationId !== this.conversationId) return;
+            const handler = this.handlers[event.type];
+            if (handler) {
+                handler(event);
+            }
+        });
+    }
+
+    // Resolves with { conversationId, token } or { error }
+    subscribe(request) {
+        return new Promise((resolve) => {
+            this.socket.timeout(SUBSCRIBE_TIMEOUT_MS).emit('subscribe-agent-events', request, (error, reply) => {
+                const result = error ? { error: error.message } : reply;
+                if (result.error) {
+                    console.warn('Cannot follow agent events:', result.error);
+                }
+                resolve(result);
+            });
+        });
+    }
+
+    // Have the server name a new conversation and follow it; resolves with its id, or null
+    async start() {
+        this.follow(null);
+
+        const { conversationId, token } = await this.subscribe({});
+        if (!conversationId) return null;
+
+        this.conversationId = conversationId;
+        this.token = token;
+        return conversationId;
+    }
+
+    // Follow a known conversation with the token the server handed out for it
+    follow(conversationId, token = null) {
+        if (conversationId === this.conversationId) {
+            // A token for a conversation we could not follow yet
+            if (conversationId && token && token !== this.token) {
+                this.token = token;
+                if (this.socket.connected) {
+                    this.subscribe({ conversationId, token });
+                }
+            }
+            return;
+        }
+
+        if (this.conversationId) {
+            this.socket.emit('unsubscribe-agent-events', { conversationId: this.conversationId });
+        }
+
+        this.conversationId = conversationId;
+        this.token = token;
+        if (conversationId && token && this.socket.connected) {
+            this.subscribe({ conversationId, token });
+        }
+    }
+
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    disconnect() {
+        this.socket.disconnect();
+        this.conversationId = null;
+        this.token = null;
+    }
+}
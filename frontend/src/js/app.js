@@ -2,6 +2,13 @@
 import { WebAudioRecorder, VoiceActivityDetector, AudioPlayer, convertBlobToWav } from './web-audio-utils.js';
 import { RealTimeVoiceProcessor, LowLatencyAudioPlayer } from './real-time-voice.js';
 import { InstantVoiceProcessor } from './speech-recognition.js';
+import { AgentEventStream } from './agent-events.js';
+
+// Keep the share of words that was actually heard before playback was cut off
+function truncateAtFraction(text, fraction) {
+    const words = (text || '').split(/\s+/).filter(Boolean);
+    return words.slice(0, Math.round(words.length * Math.max(0, Math.min(1, fraction)))).join(' ');
+}
 
 class VoiceAssistantApp {
     constructor() {
@@ -13,6 +20,11 @@ class VoiceAssistantApp {
         this.audioPlayer = new AudioPlayer();
         this.realTimeVoice = null;
         this.lowLatencyPlayer = null;
+        this.realTimePlayback = Promise.resolve();
+
+        // Barge-in: the assistant turn currently being spoken and the mic monitor watching for interruptions
+        this.activeSpeech = null;
+        this.bargeInMonitor = null;
         this.instantVoice = null;
         this.conversationHistory = [];
         this.isRealTimeMode = false;
@@ -21,7 +33,9 @@ class VoiceAssistantApp {
         this.config = {
             apiBaseUrl: 'http://localhost:5001/api',
             keyword: 'assistant',
-            model: 'meta-llama/Meta-Llama-3.1-8B-Instruct',
+            // Empty provider and model use the server's defaults
+            provider: '',
+            model: '',
             continuousMode: false,
             keywordRequired: true,
             useElevenLabsAgent: true,
@@ -34,6 +48,11 @@ class VoiceAssistantApp {
         this.sessionId = null;
         this.conversationId = null;
         this.selectedScenario = null;
+
+        // Live ElevenLabs agent events for the current conversation
+        this.agentEvents = null;
+        this.lastAgentMessage = null;
+        this.pendingAgentCorrection = null;
         this.scenarios = {};
 
         // DOM elements
@@ -147,8 +166,9 @@ class VoiceAssistantApp {
             // Check API health
             await this.checkApiHealth();
 
-            // Load available scenarios
+            // Load available scenarios and models
             await this.loadScenarios();
+            await this.loadModels();
 
             // Initialize audio systems
             this.audioRecorder = new WebAudioRecorder();
@@ -205,7 +225,7 @@ class VoiceAssistantApp {
         } else {
             modeDescription = this.config.useElevenLabsAgent ?
                 '<p><strong>✨ Agent Mode:</strong> Conversations will be continuous and contextual!</p>' :
-                '<p><strong>Note:</strong> Audio transcription is simulated for now - use text input for best results.</p>';
+                '<p><strong>Note:</strong> Audio is transcribed by the server\'s configured speech-to-text provider.</p>';
         }
 
         const welcomeHTML = `
@@ -234,30 +254,82 @@ class VoiceAssistantApp {
             });
 
             this.realTimeVoice.onSpeechDetected(() => {
+                this.handleBargeIn();
                 this.updateRecordingUI(true);
+                this.elements.voiceWaves.classList.add('active');
                 this.updateStatus('Listening...', true);
             });
 
+            this.realTimeVoice.onSpeechEnded(() => {
+                this.elements.voiceWaves.classList.remove('active');
+            });
+
             this.realTimeVoice.onProcessing(() => {
                 this.updateRecordingUI(false);
                 this.updateStatus('Processing...', true);
             });
 
-            this.realTimeVoice.onResponse(async (data) => {
+            this.realTimeVoice.onPartialTranscript((data) => {
+                this.renderLiveTranscript(data.sessionId, data.utteranceId, data.text, false);
+            });
+
+            this.realTimeVoice.onFinalTranscript((data) => {
+                this.renderLiveTranscript(data.sessionId, data.utteranceId, data.text, true);
+            });
+
+            this.realTimeVoice.onResponseDelta((data) => {
+                if (this.findLiveResponse(data.sessionId, data.turnId)?.dataset.interrupted) return;
+                this.renderLiveResponse(data.sessionId, data.turnId, data.delta);
+                this.trackRealTimeSpeech(data.sessionId, data.turnId);
+            });
+
+            // Sentence audio arrives in order while the response is still streaming
+            this.realTimeVoice.onAudio((data) => {
+                if (this.findLiveResponse(data.sessionId, data.turnId)?.dataset.interrupted) return;
+                const speech = this.trackRealTimeSpeech(data.sessionId, data.turnId);
+                const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${data.url}`;
+                this.realTimePlayback = this.realTimePlayback
+                    .then(() => this.playAssistantSentence(speech, fullAudioUrl, data.text))
+                    .catch(error => console.error('Audio playback failed:', error));
+            });
+
+            this.realTimeVoice.onResponse((data) => {
                 // Update conversation ID
                 this.conversationId = data.conversationId;
 
-                // Show transcription and response
-                this.addMessage(data.transcription, 'transcription');
-                this.addMessage(data.response, 'assistant');
+                // Replace the streamed text with the final response
+                const bubble = this.findLiveResponse(data.sessionId, data.turnId);
+                if (bubble?.dataset.interrupted) return;
 
-                // Play audio with low latency
-                if (data.audioUrl) {
-                    const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${data.audioUrl}`;
-                    await this.lowLatencyPlayer.playAudioUrl(fullAudioUrl);
+                if (bubble) {
+                    bubble.textContent = data.response;
+                } else {
+                    this.addMessage(data.response, 'assistant');
+                }
+
+                const speech = this.activeSpeech;
+                this.realTimePlayback.then(() => this.finishSpeech(speech));
+            });
+
+            this.realTimeVoice.onTurnCancelled((data) => {
+                const bubble = this.findLiveResponse(data.sessionId, data.turnId);
+                if (bubble && !bubble.dataset.interrupted) {
+                    bubble.remove();
                 }
+            });
+
+            this.realTimeVoice.onTurnMetrics((data) => {
+                const firstAudio = data.latency.speechEndToFirstAudio;
+                this.updateStatus(firstAudio !== null ? `Ready - first audio after ${firstAudio}ms` : 'Ready for next input', true);
+            });
 
-                this.updateStatus('Ready for next input', true);
+            this.realTimeVoice.onSessionLimit((data) => {
+                this.showError(data.message);
+                if (data.closed) {
+                    this.isRecording = false;
+                    this.updateRecordingUI(false);
+                    this.updateStatus('Ready', true);
+                }
             });
 
             this.realTimeVoice.onError((error) => {
@@ -301,6 +373,7 @@ class VoiceAssistantApp {
 
                 // Show AI response immediately
                 this.addMessage(data.response, 'assistant');
+                const bubble = this.elements.messageDisplay.lastElementChild;
 
                 // Add to conversation history
                 const lastTranscription = document.querySelector('.message-bubble.transcription:last-child')?.textContent || '';
@@ -309,7 +382,13 @@ class VoiceAssistantApp {
                 // Play audio if available
                 if (data.audioUrl) {
                     const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${data.audioUrl}`;
-                    await this.audioPlayer.playFromUrl(fullAudioUrl);
+                    const { sessionId, turnId } = data;
+                    const speech = this.beginSpeech({
+                        bubble,
+                        onInterrupted: (spokenText) => this.reportInterruption(sessionId, turnId, spokenText)
+                    });
+                    await this.playAssistantSentence(speech, fullAudioUrl, data.response);
+                    this.finishSpeech(speech);
                 }
 
                 this.updateStatus(`Ready - Response time: ${data.responseTime}`, true);
@@ -348,6 +427,13 @@ class VoiceAssistantApp {
             let result;
 
             if (this.config.useElevenLabsAgent) {
+                // Let the server name the conversation up front so live agent events for this message reach us
+                this.lastAgentMessage = message;
+                if (!this.conversationId) {
+                    this.conversationId = await this.startAgentEvents()
+                        || `convai_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+                }
+
                 // Use ElevenLabs agent for complete conversation with session continuity
                 const requestBody = {
                     message: message
@@ -366,6 +452,12 @@ class VoiceAssistantApp {
                     requestBody.scenario = this.selectedScenario;
                 }
 
+                // Model for the text providers the backend falls back to
+                if (this.config.model) {
+                    requestBody.provider = this.config.provider || undefined;
+                    requestBody.model = this.config.model;
+                }
+
                 console.log('Sending to agent with session:', requestBody);
 
                 const response = await fetch(`${this.config.apiBaseUrl}/agent-chat`, {
@@ -385,11 +477,16 @@ class VoiceAssistantApp {
                 // Update session info for conversation continuity
                 this.sessionId = result.sessionId;
                 this.conversationId = result.conversationId;
+                this.followAgentEvents(result.conversationId, result.agentEventsToken);
 
                 console.log('Agent response with session:', result);
 
                 // Show AI response
                 this.addMessage(result.response, 'assistant');
+                const bubble = this.elements.messageDisplay.lastElementChild;
+                if (this.pendingAgentCorrection) {
+                    this.applyAgentCorrection(this.pendingAgentCorrection);
+                }
 
                 // Update status to show conversation is active
                 this.updateStatus(`Conversation active (${result.messageCount} messages)`, true);
@@ -397,52 +494,22 @@ class VoiceAssistantApp {
                 // Play agent audio directly
                 if (result.audioUrl) {
                     const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${result.audioUrl}`;
-                    await this.audioPlayer.playFromUrl(fullAudioUrl);
-                }
-            } else {
-                // Use IONOS AI + ElevenLabs TTS
-                const response = await fetch(`${this.config.apiBaseUrl}/chat`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        message: message,
-                        model: this.config.model
-                    })
-                });
-
-                if (!response.ok) {
-                    throw new Error(`Chat request failed: ${response.status}`);
-                }
-
-                result = await response.json();
-
-                // Show AI response
-                this.addMessage(result.response, 'assistant');
+                    const { sessionId, turnId } = result;
+                    const speech = this.beginSpeech({
+                        bubble,
+                        onInterrupted: (spokenText) => this.reportInterruption(sessionId, turnId, spokenText)
+                    });
+                    this.hideLoading();
+                    await this.playAssistantSentence(speech, fullAudioUrl, result.response);
+                    this.finishSpeech(speech);
 
-                // Convert to speech and play
-                if (result.response) {
-                    try {
-                        const ttsResponse = await fetch(`${this.config.apiBaseUrl}/tts`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                                text: result.response
-                            })
-                        });
-
-                        if (ttsResponse.ok) {
-                            const ttsResult = await ttsResponse.json();
-                            const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${ttsResult.audioUrl}`;
-                            await this.audioPlayer.playFromUrl(fullAudioUrl);
-                        }
-                    } catch (error) {
-                        console.error('Text-to-speech failed:', error);
+                    if (speech.interrupted) {
+                        result.response = `${speech.spokenText}…`;
                     }
                 }
+            } else {
+                // Use IONOS AI with streamed text and sentence-level TTS
+                result = await this.streamChatResponse(message);
             }
 
             // Add to conversation history
@@ -458,6 +525,95 @@ class VoiceAssistantApp {
         }
     }
 
+    // Consume the /chat/stream SSE feed: render text as it arrives and play sentence audio in order
+    async streamChatResponse(message) {
+        const controller = new AbortController();
+        const response = await fetch(`${this.config.apiBaseUrl}/chat/stream`, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                message: message,
+                provider: this.config.provider || undefined,
+                model: this.config.model || undefined,
+                conversationId: this.conversationId
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Chat request failed: ${response.status}`);
+        }
+
+        this.addMessage('', 'assistant');
+        const bubble = this.elements.messageDisplay.lastElementChild;
+        const baseUrl = this.config.apiBaseUrl.replace('/api', '');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let turnId = null;
+        let playback = Promise.resolve();
+
+        // Aborting the request makes the server stop generating text and audio and keep what it sent;
+        // reporting the turn narrows that down to what was actually heard
+        const speech = this.beginSpeech({
+            bubble,
+            onInterrupted: (spokenText) => {
+                controller.abort();
+                return this.reportInterruption(this.conversationId, turnId, spokenText);
+            }
+        });
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                for (const raw of events) {
+                    if (!raw.startsWith('data:')) continue;
+                    const event = JSON.parse(raw.slice(5));
+
+                    if (event.type === 'start') {
+                        this.conversationId = event.conversationId;
+                        turnId = event.turnId;
+                    } else if (event.type === 'text') {
+                        this.hideLoading();
+                        text += event.delta;
+                        if (!speech.interrupted) {
+                            bubble.textContent = text;
+                        }
+                        this.elements.messageDisplay.scrollTop = this.elements.messageDisplay.scrollHeight;
+                    } else if (event.type === 'audio') {
+                        playback = playback
+                            .then(() => this.playAssistantSentence(speech, `${baseUrl}${event.url}`, event.text))
+                            .catch(error => console.error('Audio playback failed:', error));
+                    } else if (event.type === 'error') {
+                        throw new Error(event.details || event.error);
+                    } else if (event.type === 'done') {
+                        this.conversationId = event.conversationId;
+                        console.log(`Stream finished in ${event.responseTime}, first audio after ${event.timeToFirstAudio}`);
+                    }
+                }
+            }
+        } catch (error) {
+            if (!speech.interrupted) {
+                this.finishSpeech(speech);
+                throw error;
+            }
+        }
+
+        await playback;
+        this.finishSpeech(speech);
+
+        return { response: speech.interrupted ? `${speech.spokenText}…` : text };
+    }
+
     async toggleRecording() {
         if (!this.isInitialized) {
             this.showError('Assistant not initialized yet');
@@ -637,6 +793,8 @@ class VoiceAssistantApp {
             // Create form data
             const formData = new FormData();
             formData.append('audio', wavBlob, 'recording.wav');
+            formData.append('keyword', this.config.keyword);
+            formData.append('keywordRequired', String(this.config.keywordRequired));
 
             // Send to backend for processing
             const response = await fetch(`${this.config.apiBaseUrl}/process-voice`, {
@@ -674,26 +832,76 @@ class VoiceAssistantApp {
         if (response) {
             // Show AI response
             this.addMessage(response, 'assistant');
+            const bubble = this.elements.messageDisplay.lastElementChild;
 
             // Add to conversation history
             this.addToHistory(transcription, response);
 
             // Play audio response
             if (audioUrl) {
+                const speech = this.beginSpeech({ bubble });
                 try {
-                    this.showLoading('Playing response...');
                     const fullAudioUrl = `${this.config.apiBaseUrl.replace('/api', '')}${audioUrl}`;
-                    await this.audioPlayer.playFromUrl(fullAudioUrl);
+                    await this.playAssistantSentence(speech, fullAudioUrl, response);
                 } catch (error) {
                     console.error('Audio playback failed:', error);
                     this.showError('Audio playback failed');
                 } finally {
+                    this.finishSpeech(speech);
                     this.hideLoading();
                 }
             }
         }
     }
 
+    // A new conversation named by the server, followed from its first message
+    async startAgentEvents() {
+        this.followAgentEvents(null);
+        return this.agentEvents.start();
+    }
+
+    followAgentEvents(conversationId, token = null) {
+        if (!this.agentEvents) {
+            this.agentEvents = new AgentEventStream(this.config.apiBaseUrl);
+
+            // Spoken input the agent transcribed; typed messages are already on screen
+            this.agentEvents.on('user_transcript', (event) => {
+                if (event.text && event.text !== this.lastAgentMessage) {
+                    this.addMessage(event.text, 'transcription');
+                }
+            });
+
+            this.agentEvents.on('tentative_agent_response', (event) => {
+                if (event.text) {
+                    this.updateStatus(`Agent: ${event.text}`, true);
+                }
+            });
+
+            this.agentEvents.on('agent_response_correction', (event) => {
+                this.applyAgentCorrection(event);
+            });
+        }
+
+        this.agentEvents.follow(conversationId, token);
+    }
+
+    // The agent revised a reply (e.g. after an interruption); show what it settled on
+    applyAgentCorrection({ original, corrected }) {
+        const bubbles = [...this.elements.messageDisplay.querySelectorAll('.message-bubble.assistant')];
+        const bubble = bubbles.reverse().find(el => el.textContent.trim() === (original || '').trim());
+
+        // The correction can beat the HTTP response that renders the original
+        if (!bubble) {
+            this.pendingAgentCorrection = { original, corrected };
+            return;
+        }
+
+        this.pendingAgentCorrection = null;
+        bubble.textContent = corrected;
+        bubble.classList.add('corrected');
+        bubble.title = `Originally: ${original}`;
+    }
+
     addMessage(content, type) {
         const messageHTML = `
             <div class="message-bubble ${type}">
@@ -709,6 +917,174 @@ class VoiceAssistantApp {
         this.elements.messageDisplay.scrollTop = this.elements.messageDisplay.scrollHeight;
     }
 
+    // Create or update the transcription bubble for a real-time utterance.
+    // Utterance ids restart in every voice session, so bubbles are keyed by both.
+    renderLiveTranscript(sessionId, utteranceId, text, isFinal) {
+        let bubble = this.elements.messageDisplay.querySelector(
+            `.message-bubble[data-session-id="${sessionId}"][data-utterance-id="${utteranceId}"]`
+        );
+
+        if (!bubble) {
+            if (isFinal && !text) return;
+            this.addMessage('', 'transcription partial');
+            bubble = this.elements.messageDisplay.lastElementChild;
+            bubble.dataset.sessionId = sessionId;
+            bubble.dataset.utteranceId = utteranceId;
+        }
+
+        if (isFinal && !text) {
+            bubble.remove();
+            return;
+        }
+
+        bubble.textContent = text;
+        bubble.classList.toggle('partial', !isFinal);
+        this.elements.messageDisplay.scrollTop = this.elements.messageDisplay.scrollHeight;
+
+        if (!isFinal) {
+            this.updateStatus(`Listening: "${text}"`, true);
+        }
+    }
+
+    // Start tracking an assistant turn so it can be interrupted while it plays
+    beginSpeech({ sessionId = null, turnId = null, bubble = null, play = null, onInterrupted = null } = {}) {
+        this.activeSpeech = {
+            sessionId,
+            turnId,
+            bubble,
+            play: play || ((audioUrl) => this.audioPlayer.playFromUrl(audioUrl)),
+            onInterrupted,
+            spokenText: '',
+            interrupted: false
+        };
+        return this.activeSpeech;
+    }
+
+    finishSpeech(speech) {
+        if (speech && this.activeSpeech === speech) {
+            this.activeSpeech = null;
+        }
+        if (!this.activeSpeech) {
+            this.stopBargeInMonitor();
+        }
+    }
+
+    trackRealTimeSpeech(sessionId, turnId) {
+        if (this.activeSpeech?.sessionId !== sessionId || this.activeSpeech?.turnId !== turnId) {
+            this.beginSpeech({
+                sessionId,
+                turnId,
+                play: (audioUrl) => this.lowLatencyPlayer.playAudioUrl(audioUrl),
+                onInterrupted: (spokenText) => this.realTimeVoice.bargeIn(turnId, spokenText)
+            });
+        }
+        this.activeSpeech.bubble = this.activeSpeech.bubble || this.findLiveResponse(sessionId, turnId);
+        return this.activeSpeech;
+    }
+
+    async playAssistantSentence(speech, audioUrl, text) {
+        if (speech.interrupted) return;
+
+        this.startBargeInMonitor();
+        const result = await speech.play(audioUrl);
+
+        if (result?.interrupted) {
+            await this.recordInterruption(speech, text, result.fraction);
+        } else if (!speech.interrupted) {
+            speech.spokenText = [speech.spokenText, text].filter(Boolean).join(' ');
+        }
+    }
+
+    // The user started talking over the assistant: fade out and cut the turn short
+    handleBargeIn() {
+        const speech = this.activeSpeech;
+        if (!speech || speech.interrupted) return;
+
+        const playing = this.audioPlayer.isPlaying || this.lowLatencyPlayer?.isPlaying;
+        if (playing) {
+            // playAssistantSentence() records the interruption once the fade completes
+            this.audioPlayer.fadeOutAndStop();
+            this.lowLatencyPlayer?.fadeOutAndStop();
+        } else {
+            this.recordInterruption(speech, '', 0);
+        }
+    }
+
+    async recordInterruption(speech, currentText, fraction) {
+        if (speech.interrupted) return;
+
+        speech.interrupted = true;
+        speech.spokenText = [speech.spokenText, truncateAtFraction(currentText, fraction)].filter(Boolean).join(' ');
+
+        if (speech.bubble) {
+            speech.bubble.textContent = `${speech.spokenText}…`;
+            speech.bubble.classList.add('interrupted');
+            speech.bubble.dataset.interrupted = 'true';
+        }
+
+        this.finishSpeech(speech);
+        console.log('Assistant interrupted after:', speech.spokenText);
+
+        try {
+            await speech.onInterrupted?.(speech.spokenText);
+        } catch (error) {
+            console.error('Failed to report interruption:', error);
+        }
+    }
+
+    async reportInterruption(sessionId, turnId, spokenText) {
+        if (!sessionId || !turnId) return;
+
+        await fetch(`${this.config.apiBaseUrl}/sessions/${sessionId}/interrupt`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ turnId, spokenText })
+        });
+    }
+
+    // Outside real-time mode, watch the microphone while the assistant talks
+    startBargeInMonitor() {
+        if (this.bargeInMonitor || this.isRealTimeMode || this.isRecording || !this.audioRecorder?.stream) return;
+
+        this.bargeInMonitor = new VoiceActivityDetector(this.audioRecorder.stream, {
+            silenceThreshold: 45, // Higher than recording so speaker echo does not count
+            onSpeechStart: () => this.handleBargeIn()
+        });
+        this.bargeInMonitor.start();
+    }
+
+    stopBargeInMonitor() {
+        if (this.bargeInMonitor) {
+            this.bargeInMonitor.stop();
+            this.bargeInMonitor = null;
+        }
+    }
+
+    // Turn ids restart in every voice session, so live bubbles are keyed by both
+    findLiveResponse(sessionId, turnId) {
+        return this.elements.messageDisplay.querySelector(
+            `.message-bubble.assistant[data-session-id="${sessionId}"][data-turn-id="${turnId}"]`
+        );
+    }
+
+    // Append streamed text to the assistant bubble for a real-time turn
+    renderLiveResponse(sessionId, turnId, delta) {
+        let bubble = this.findLiveResponse(sessionId, turnId);
+
+        if (!bubble) {
+            this.addMessage('', 'assistant');
+            bubble = this.elements.messageDisplay.lastElementChild;
+            bubble.dataset.sessionId = sessionId;
+            bubble.dataset.turnId = turnId;
+            bubble.textContent = '';
+        }
+
+        bubble.textContent += delta;
+        this.elements.messageDisplay.scrollTop = this.elements.messageDisplay.scrollHeight;
+    }
+
     addToHistory(userMessage, assistantResponse) {
         const timestamp = new Date().toLocaleTimeString();
         const historyItem = {
@@ -748,6 +1124,9 @@ class VoiceAssistantApp {
         // Reset local state
         this.sessionId = null;
         this.conversationId = null;
+        if (this.agentEvents) {
+            this.agentEvents.follow(null);
+        }
         this.elements.messageDisplay.innerHTML = '';
         this.elements.historyContent.innerHTML = '';
         this.conversationHistory = [];
@@ -757,7 +1136,7 @@ class VoiceAssistantApp {
 
     showSettings() {
         this.elements.keywordInput.value = this.config.keyword;
-        this.elements.modelSelect.value = this.config.model;
+        this.selectModelOption();
         this.elements.continuousMode.checked = this.config.continuousMode;
         this.elements.keywordRequired.checked = this.config.keywordRequired;
         this.elements.useElevenLabsAgent.checked = this.config.useElevenLabsAgent;
@@ -773,7 +1152,10 @@ class VoiceAssistantApp {
         const previousRealTimeMode = this.config.useRealTimeVoice;
 
         this.config.keyword = this.elements.keywordInput.value.trim() || 'assistant';
-        this.config.model = this.elements.modelSelect.value;
+        // Options are "provider:model"; model ids may contain colons themselves
+        const [provider, ...model] = this.elements.modelSelect.value.split(':');
+        this.config.provider = model.length > 0 ? provider : '';
+        this.config.model = model.join(':');
         this.config.continuousMode = this.elements.continuousMode.checked;
         this.config.keywordRequired = this.elements.keywordRequired.checked;
         this.config.useElevenLabsAgent = this.elements.useElevenLabsAgent.checked;
@@ -879,6 +1261,60 @@ class VoiceAssistantApp {
         }
     }
 
+    // Load the backend's model catalog into the settings model picker
+    async loadModels() {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/models?type=chat`);
+            if (!response.ok) {
+                throw new Error(`Failed to load models: ${response.status}`);
+            }
+
+            this.populateModelSelect(await response.json());
+        } catch (error) {
+            console.error('Failed to load models:', error);
+            // Keep the server default option only
+        }
+    }
+
+    // One option group per provider, after the "Server default" option
+    populateModelSelect({ data = [], default: defaults }) {
+        const select = this.elements.modelSelect;
+
+        while (select.children.length > 1) {
+            select.removeChild(select.lastChild);
+        }
+
+        if (defaults?.model) {
+            select.firstElementChild.textContent = `Server default (${defaults.model.split('/').pop()})`;
+        }
+
+        const groups = new Map();
+        for (const model of data) {
+            if (!groups.has(model.provider)) {
+                const group = document.createElement('optgroup');
+                group.label = model.provider;
+                groups.set(model.provider, group);
+                select.appendChild(group);
+            }
+
+            const option = document.createElement('option');
+            option.value = `${model.provider}:${model.id}`;
+            option.textContent = model.id.split('/').pop();
+            option.title = model.id;
+            groups.get(model.provider).appendChild(option);
+        }
+
+        this.selectModelOption();
+    }
+
+    // Settings saved before the catalog existed have a model but no provider
+    selectModelOption() {
+        const { provider, model } = this.config;
+        const option = model && [...this.elements.modelSelect.options].find(option =>
+            option.value === `${provider}:${model}` || (!provider && option.value.endsWith(`:${model}`)));
+        this.elements.modelSelect.value = option ? option.value : '';
+    }
+
     // Populate the scenario selector dropdown
     populateScenarioSelect() {
         const select = this.elements.scenarioSelect;
@@ -0,0 +1,100 @@
+// Browser-side tools the ElevenLabs agent can call during a ConvAI session.
+// Each tool has a JSON schema for its parameters; the same name and schema must be added as a
+// client tool on the agent in the ElevenLabs dashboard. Handlers return a plain object that is
+// sent back to the agent as the tool result, or throw to report an error.
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Enough of JSON Schema for flat tool parameters: required, type and enum per property
+function validateParameters(schema, parameters) {
+    const errors = [];
+    const properties = schema?.properties || {};
+
+    for (const name of schema?.required || []) {
+        if (parameters[name] === undefined || parameters[name] === null || parameters[name] === '') {
+            errors.push(`missing required parameter "${name}"`);
+        }
+    }
+
+    for (const [name, value] of Object.entries(parameters)) {
+        const property = properties[name];
+        if (!property || value === undefined || value === null) continue;
+
+        const check = TYPE_CHECKS[property.type];
+        if (check && !check(value)) {
+            errors.push(`"${name}" must be of type ${property.type}`);
+        } else if (property.enum && !property.enum.includes(value)) {
+            errors.push(`"${name}" must be one of ${property.enum.join(', ')}`);
+        }
+    }
+
+    return errors;
+}
+
+export class ClientToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    register(name, { description, parameters = { type: 'object', properties: {} }, handler }) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Client tool "${name}" needs a handler`);
+        }
+        if (this.tools.has(name)) {
+            console.warn(`Replacing client tool: ${name}`);
+        }
+
+        this.tools.set(name, { name, description, parameters, handler });
+        return this;
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    // Definitions to copy into the agent's client tool settings
+    describe() {
+        return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    async call(name, parameters = {}, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown client tool: ${name}`);
+        }
+
+        const errors = validateParameters(tool.parameters, parameters || {});
+        if (errors.length > 0) {
+            throw new Error(`Invalid parameters for ${name}: ${errors.join('; ')}`);
+        }
+
+        return tool.handler(parameters || {}, context);
+    }
+
+    // The `clientTools` map for Conversation.startSession. The SDK sends whatever each
+    // function returns to the agent and reports thrown errors with is_error set.
+    toSessionTools(context = {}) {
+        const sessionTools = {};
+        for (const name of this.tools.keys()) {
+            sessionTools[name] = async (parameters) => {
+                const result = await this.call(name, parameters, context);
+                return JSON.stringify(result ?? { ok: true });
+            };
+        }
+        return sessionTools;
+    }
+}
+
+export const clientTools = new ClientToolRegistry();
+
+// Scripts outside the bundle can add tools before the conversation starts
+if (typeof window !== 'undefined') {
+    window.convaiClientTools = clientTools;
+}
@@ -0,0 +1,66 @@
+// Scrolling transcript for the ConvAI page, kept in memory so it can be downloaded after the call
+const SPEAKER_LABELS = { user: 'You', ai: 'Agent' };
+
+function formatTime(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+export class ConversationTranscript {
+    constructor(listElement) {
+        this.listElement = listElement;
+        this.entries = [];
+    }
+
+    add(source, text) {
+        if (!text?.trim()) return;
+
+        const entry = { speaker: SPEAKER_LABELS[source] || source, text: text.trim(), time: new Date() };
+        this.entries.push(entry);
+
+        if (!this.listElement) return;
+
+        const item = document.createElement('li');
+        item.className = `transcript-entry ${source === 'user' ? 'user' : 'agent'}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'transcript-meta';
+        meta.textContent = `${entry.speaker} · ${formatTime(entry.time)}`;
+
+        const body = document.createElement('div');
+        body.className = 'transcript-text';
+        body.textContent = entry.text;
+
+        item.append(meta, body);
+        this.listElement.appendChild(item);
+        this.listElement.scrollTop = this.listElement.scrollHeight;
+    }
+
+    clear() {
+        this.entries = [];
+        if (this.listElement) {
+            this.listElement.innerHTML = '';
+        }
+    }
+
+    toText() {
+        return this.entries
+            .map(entry => `[${formatTime(entry.time)}] ${entry.speaker}: ${entry.text}`)
+            .join('\n');
+    }
+
+    download(conversationId) {
+        if (this.entries.length === 0) return;
+
+        const started = this.entries[0].time.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const blob = new Blob([`${this.toText()}\n`], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `transcript-${conversationId || started}.txt`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
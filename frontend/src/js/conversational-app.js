@@ -1,8 +1,19 @@
 // --- src/js/conversational-app.js ---
 import { Conversation } from '@elevenlabs/client';
+import { clientTools } from './client-tools.js';
+import { registerPageTools } from './page-tools.js';
+import { ConversationTranscript } from './conversation-transcript.js';
+import { LevelMeters } from './level-meters.js';
+
+registerPageTools(clientTools);
 
 let conversation = null;
 let isConnected = false;
+let conversationId = null;
+let micMuted = false;
+let outputVolume = 1;
+let transcript = null;
+let levelMeters = null;
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
@@ -20,9 +31,56 @@ function initializeApp() {
         endButton.addEventListener('click', endConversation);
     }
 
+    transcript = new ConversationTranscript(document.getElementById('transcriptList'));
+    levelMeters = new LevelMeters({
+        inputCanvas: document.getElementById('inputMeter'),
+        outputCanvas: document.getElementById('outputMeter')
+    });
+
+    document.getElementById('muteButton')?.addEventListener('click', toggleMute);
+    document.getElementById('volumeSlider')?.addEventListener('input', (event) => {
+        setOutputVolume(Number(event.target.value));
+    });
+    document.getElementById('downloadTranscriptButton')?.addEventListener('click', () => {
+        transcript.download(conversationId);
+    });
+
     // Update initial status
     updateStatus(false);
     updateSpeakingStatus({ mode: 'listening' });
+    loadScenarios();
+}
+
+// Role-play scenarios from the backend; ?scenario=... preselects one
+async function loadScenarios() {
+    const scenarioSelect = document.getElementById('scenarioSelect');
+    if (!scenarioSelect) return;
+
+    try {
+        const response = await fetch('/api/scenarios');
+        const scenarios = await response.json();
+
+        Object.entries(scenarios).forEach(([id, scenario]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = scenario.title;
+            scenarioSelect.appendChild(option);
+        });
+
+        const requested = new URLSearchParams(window.location.search).get('scenario');
+        if (requested && scenarios[requested]) {
+            scenarioSelect.value = requested;
+        }
+    } catch (error) {
+        console.error('Error loading scenarios:', error);
+    }
+}
+
+function setSessionOptionsDisabled(disabled) {
+    ['scenarioSelect', 'userNameInput'].forEach((id) => {
+        const element = document.getElementById(id);
+        if (element) element.disabled = disabled;
+    });
 }
 
 async function requestMicrophonePermission() {
@@ -35,21 +93,40 @@ async function requestMicrophonePermission() {
     }
 }
 
-async function getSignedUrl() {
+async function getSignedUrl({ scenario, userName } = {}) {
     try {
-        const response = await fetch('/api/signed-url');
+        const params = new URLSearchParams();
+        if (scenario) params.set('scenario', scenario);
+        if (userName) params.set('userName', userName);
+
+        const query = params.toString();
+        const response = await fetch(`/api/signed-url${query ? `?${query}` : ''}`);
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.error || 'Failed to get signed URL');
         }
-        const data = await response.json();
-        return data.signedUrl;
+        return await response.json();
     } catch (error) {
         console.error('Error getting signed URL:', error);
         throw error;
     }
 }
 
+// The SDK takes camelCase overrides and builds conversation_config_override itself
+function toSessionOverrides(configOverride) {
+    if (!configOverride) return undefined;
+
+    const { agent = {}, tts } = configOverride;
+    return {
+        agent: {
+            prompt: agent.prompt,
+            firstMessage: agent.first_message,
+            language: agent.language
+        },
+        ...(tts && { tts: { voiceId: tts.voice_id } })
+    };
+}
+
 async function getAgentId() {
     try {
         const response = await fetch('/api/agent-id');
@@ -136,6 +213,29 @@ function showError(message) {
     console.error('Error:', message);
 }
 
+function toggleMute() {
+    micMuted = !micMuted;
+    conversation?.setMicMuted(micMuted);
+
+    const muteButton = document.getElementById('muteButton');
+    if (muteButton) {
+        muteButton.textContent = micMuted ? 'Unmute Mic' : 'Mute Mic';
+        muteButton.classList.toggle('active', micMuted);
+    }
+}
+
+function setOutputVolume(volume) {
+    outputVolume = volume;
+    conversation?.setVolume({ volume });
+}
+
+function setDownloadEnabled(enabled) {
+    const downloadButton = document.getElementById('downloadTranscriptButton');
+    if (downloadButton) {
+        downloadButton.disabled = !enabled || transcript.entries.length === 0;
+    }
+}
+
 async function startConversation() {
     const startButton = document.getElementById('startButton');
     const endButton = document.getElementById('endButton');
@@ -152,18 +252,28 @@ async function startConversation() {
 
         showLoadingState(true, 'Connecting to ElevenLabs...');
 
-        const signedUrl = await getSignedUrl();
+        const scenario = document.getElementById('scenarioSelect')?.value || '';
+        const userName = document.getElementById('userNameInput')?.value.trim() || '';
+
+        const session = await getSignedUrl({ scenario, userName });
         // Alternatively, you can use agentId for public agents:
         // const agentId = await getAgentId();
 
-        console.log('Starting conversation with signed URL...');
+        console.log(`Starting conversation with signed URL${scenario ? ` (scenario: ${scenario})` : ''}...`);
+        setSessionOptionsDisabled(true);
+        transcript.clear();
+        setDownloadEnabled(false);
 
         conversation = await Conversation.startSession({
-            signedUrl: signedUrl,
+            signedUrl: session.signedUrl,
             // agentId: agentId, // Use this for public agents instead of signedUrl
+            overrides: toSessionOverrides(session.conversation_config_override),
+            dynamicVariables: session.dynamic_variables,
+            clientTools: clientTools.toSessionTools({ endConversation }),
 
-            onConnect: () => {
+            onConnect: ({ conversationId: id } = {}) => {
                 console.log('Connected to ElevenLabs Conversational AI');
+                conversationId = id || conversation?.getId?.() || null;
                 updateStatus(true);
                 if (startButton) startButton.disabled = true;
                 if (endButton) endButton.disabled = false;
@@ -175,7 +285,11 @@ async function startConversation() {
                 updateStatus(false);
                 if (startButton) startButton.disabled = false;
                 if (endButton) endButton.disabled = true;
+                setSessionOptionsDisabled(false);
                 updateSpeakingStatus({ mode: 'listening' });
+                levelMeters.stop();
+                setDownloadEnabled(true);
+                syncConversation(conversationId);
             },
 
             onError: (error) => {
@@ -189,21 +303,47 @@ async function startConversation() {
                 updateSpeakingStatus(mode);
             },
 
-            onMessage: (message) => {
-                console.log('Message received:', message);
-                // You can add transcript display here if needed
+            onUnhandledClientToolCall: (toolCall) => {
+                console.warn('Agent called an unregistered client tool:', toolCall);
+            },
+
+            onMessage: ({ message, source }) => {
+                transcript.add(source, message);
             }
         });
 
+        // Carry the mute and volume settings over from the previous call
+        conversation.setMicMuted(micMuted);
+        conversation.setVolume({ volume: outputVolume });
+        levelMeters.start(conversation);
+
     } catch (error) {
         console.error('Error starting conversation:', error);
         showError(`Failed to start conversation: ${error.message}`);
         showLoadingState(false);
+        setSessionOptionsDisabled(false);
         if (startButton) startButton.disabled = false;
         if (endButton) endButton.disabled = true;
     }
 }
 
+// Store the finished transcript so it can be listed and evaluated like any other session
+async function syncConversation(id) {
+    if (!id) return;
+
+    try {
+        const response = await fetch(`/api/convai/conversations/${encodeURIComponent(id)}/sync`, { method: 'POST' });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to sync conversation');
+        }
+        const result = await response.json();
+        console.log(`Conversation saved as session ${result.sessionId} (${result.turnCount} turns)`);
+    } catch (error) {
+        console.error('Error syncing conversation:', error);
+    }
+}
+
 async function endConversation() {
     const startButton = document.getElementById('startButton');
     const endButton = document.getElementById('endButton');
@@ -221,6 +361,9 @@ async function endConversation() {
         showLoadingState(false);
         // Still reset the UI
         updateStatus(false);
+        setSessionOptionsDisabled(false);
+        levelMeters.stop();
+        setDownloadEnabled(true);
         if (startButton) startButton.disabled = false;
         if (endButton) endButton.disabled = true;
     }
@@ -0,0 +1,67 @@
+// Microphone and agent level meters drawn from the Conversation's volume and frequency data
+const BAR_COUNT = 24;
+
+export class LevelMeters {
+    constructor({ inputCanvas, outputCanvas }) {
+        this.meters = [
+            { canvas: inputCanvas, volume: 'getInputVolume', frequencies: 'getInputByteFrequencyData', color: '#34C759' },
+            { canvas: outputCanvas, volume: 'getOutputVolume', frequencies: 'getOutputByteFrequencyData', color: '#007AFF' }
+        ].filter(meter => meter.canvas);
+        this.conversation = null;
+        this.frame = null;
+    }
+
+    start(conversation) {
+        this.stop();
+        this.conversation = conversation;
+
+        const draw = () => {
+            for (const meter of this.meters) {
+                this.drawMeter(meter);
+            }
+            this.frame = requestAnimationFrame(draw);
+        };
+        this.frame = requestAnimationFrame(draw);
+    }
+
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.conversation = null;
+
+        for (const { canvas } of this.meters) {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+
+    drawMeter({ canvas, volume, frequencies, color }) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const level = Math.min(1, this.conversation?.[volume]?.() || 0);
+        const data = this.conversation?.[frequencies]?.() || new Uint8Array(0);
+
+        context.clearRect(0, 0, width, height);
+
+        // Frequency bars, each averaging a slice of the lower half of the spectrum (where speech is)
+        const binsPerBar = Math.max(1, Math.floor(data.length / 2 / BAR_COUNT));
+        const barWidth = width / BAR_COUNT;
+        context.fillStyle = color;
+
+        for (let bar = 0; bar < BAR_COUNT; bar++) {
+            let sum = 0;
+            for (let bin = bar * binsPerBar; bin < (bar + 1) * binsPerBar && bin < data.length; bin++) {
+                sum += data[bin];
+            }
+            const magnitude = data.length ? sum / binsPerBar / 255 : 0;
+            const barHeight = Math.max(2, magnitude * (height - 6));
+            context.globalAlpha = 0.35 + 0.65 * magnitude;
+            context.fillRect(bar * barWidth + 1, height - 6 - barHeight, barWidth - 2, barHeight);
+        }
+
+        // Overall level strip along the bottom
+        context.globalAlpha = 1;
+        context.fillRect(0, height - 4, width * level, 4);
+    }
+}
@@ -0,0 +1,154 @@
+// Default client tools for the ConvAI page. Other modules can add their own with
+// clientTools.register(...) (or window.convaiClientTools in plain scripts).
+
+// Long enough for the tool result and the agent's goodbye to reach the user
+const END_CALL_DELAY_MS = 1500;
+
+function showToolPanel(sectionId) {
+    document.getElementById('toolPanel')?.classList.add('visible');
+    document.getElementById(sectionId)?.classList.add('visible');
+}
+
+function safeLink(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function showProductCard({ name, description, price, image_url: imageUrl, url }) {
+    const container = document.getElementById('productCards');
+    if (!container) throw new Error('Product cards are not available on this page');
+
+    const card = document.createElement('div');
+    card.className = 'product-card';
+
+    const image = imageUrl && safeLink(imageUrl);
+    if (image) {
+        const img = document.createElement('img');
+        img.src = image;
+        img.alt = name;
+        card.appendChild(img);
+    }
+
+    const title = document.createElement('h3');
+    title.textContent = name;
+    card.appendChild(title);
+
+    if (description) {
+        const text = document.createElement('p');
+        text.textContent = description;
+        card.appendChild(text);
+    }
+
+    if (price) {
+        const priceTag = document.createElement('span');
+        priceTag.className = 'product-price';
+        priceTag.textContent = price;
+        card.appendChild(priceTag);
+    }
+
+    const link = url && safeLink(url);
+    if (link) {
+        const anchor = document.createElement('a');
+        anchor.href = link;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.textContent = 'View details';
+        card.appendChild(anchor);
+    }
+
+    container.prepend(card);
+    showToolPanel('productSection');
+    return { shown: true, name };
+}
+
+function openScenarioPicker() {
+    const scenarioSelect = document.getElementById('scenarioSelect');
+    if (!scenarioSelect) throw new Error('Scenario picker is not available on this page');
+
+    scenarioSelect.disabled = false;
+    scenarioSelect.classList.add('highlight');
+    scenarioSelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    scenarioSelect.focus();
+    setTimeout(() => scenarioSelect.classList.remove('highlight'), 4000);
+
+    const scenarios = [...scenarioSelect.options].filter(option => option.value).map(option => option.textContent);
+    return { opened: true, scenarios, note: 'The chosen scenario applies to the next conversation' };
+}
+
+function completeChecklistItem({ item }) {
+    const list = document.getElementById('checklist');
+    if (!list) throw new Error('Checklist is not available on this page');
+
+    const label = item.trim();
+    let entry = [...list.children].find(child => child.dataset.item === label.toLowerCase());
+    if (!entry) {
+        entry = document.createElement('li');
+        entry.dataset.item = label.toLowerCase();
+        entry.textContent = label;
+        list.appendChild(entry);
+    }
+    entry.classList.add('completed');
+    showToolPanel('checklistSection');
+
+    const completed = list.querySelectorAll('li.completed').length;
+    return { item: label, completed: true, completedCount: completed, total: list.children.length };
+}
+
+export function registerPageTools(registry) {
+    registry.register('show_product_card', {
+        description: 'Show a product card to the user with a name, optional description, price, image and link.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Product name' },
+                description: { type: 'string', description: 'One or two sentences about the product' },
+                price: { type: 'string', description: 'Price as it should be displayed, e.g. "€4.99/month"' },
+                image_url: { type: 'string', description: 'Product image URL' },
+                url: { type: 'string', description: 'Link to the product page' }
+            },
+            required: ['name']
+        },
+        handler: showProductCard
+    });
+
+    registry.register('open_scenario_picker', {
+        description: 'Highlight the role-play scenario picker so the user can choose a scenario for their next conversation.',
+        parameters: { type: 'object', properties: {} },
+        handler: openScenarioPicker
+    });
+
+    registry.register('complete_checklist_item', {
+        description: 'Mark an item on the user\'s on-screen checklist as completed, adding it if it is not listed yet.',
+        parameters: {
+            type: 'object',
+            properties: {
+                item: { type: 'string', description: 'Checklist item text' }
+            },
+            required: ['item']
+        },
+        handler: completeChecklistItem
+    });
+
+    registry.register('end_call', {
+        description: 'End the conversation after saying goodbye.',
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', description: 'Why the call is ending' }
+            }
+        },
+        handler: ({ reason }, context) => {
+            if (typeof context.endConversation !== 'function') {
+                throw new Error('Ending the call is not supported here');
+            }
+            setTimeout(() => context.endConversation(), END_CALL_DELAY_MS);
+            return { ending: true, reason: reason || null };
+        }
+    });
+
+    return registry;
+}
@@ -0,0 +1,63 @@
+// AudioWorklet that turns microphone input into 16 kHz mono Int16 packets off the main thread.
+// `sampleRate` is the AudioContext rate, provided as a global in AudioWorkletGlobalScope.
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { targetSampleRate = 16000, frameMs = 20 } = options.processorOptions || {};
+        this.ratio = sampleRate / targetSampleRate;
+        this.frameSize = Math.round(targetSampleRate * frameMs / 1000);
+        this.frame = new Int16Array(this.frameSize);
+        this.frameIndex = 0;
+
+        // Box-filter decimation: average every input sample that falls into one output sample
+        this.bucketSum = 0;
+        this.bucketCount = 0;
+        this.position = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const channels = input.length;
+        const length = input[0].length;
+
+        for (let i = 0; i < length; i++) {
+            // Downmix to mono
+            let sample = 0;
+            for (let c = 0; c < channels; c++) {
+                sample += input[c][i];
+            }
+            this.bucketSum += sample / channels;
+            this.bucketCount++;
+            this.position += 1;
+
+            if (this.position >= this.ratio) {
+                const value = this.bucketSum / this.bucketCount;
+                // Loops more than once only when the context runs below the target rate
+                while (this.position >= this.ratio) {
+                    this.pushSample(value);
+                    this.position -= this.ratio;
+                }
+                this.bucketSum = 0;
+                this.bucketCount = 0;
+            }
+        }
+
+        return true;
+    }
+
+    pushSample(value) {
+        const s = Math.max(-1, Math.min(1, value));
+        this.frame[this.frameIndex++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+
+        if (this.frameIndex === this.frameSize) {
+            this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+            this.frame = new Int16Array(this.frameSize);
+            this.frameIndex = 0;
+        }
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
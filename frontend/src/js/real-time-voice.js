@@ -7,16 +7,31 @@ export class RealTimeVoiceProcessor {
         this.audioContext = null;
         this.microphone = null;
         this.processor = null;
+        this.encoder = null;
+        this.codec = null;
+        this.encodedTimestamp = 0;
         this.isConnected = false;
         this.isRecording = false;
         this.sessionId = null;
+        this.resumeToken = null;
         this.conversationId = null;
+        this.sessionOptions = null;
 
-        // Audio settings optimized for low latency
+        // Wire format sent to the server; the worklet resamples whatever rate the browser runs at
+        // `encodings` is the offer for the handshake, in preference order; the server picks one
         this.audioConfig = {
+            encoding: 'pcm_s16le',
+            encodings: ['pcm_s16le'],
             sampleRate: 16000,
-            bufferSize: 1024, // Small buffer for low latency
-            channels: 1
+            channels: 1,
+            frameMs: 20
+        };
+        this.opusBitrate = 24000;
+
+        // Server-side VAD tuning sent with start-voice-session (see backend/vad.js)
+        this.vadConfig = {
+            hangoverMs: 600,
+            prePaddingMs: 200
         };
 
         this.apiBaseUrl = apiBaseUrl;
@@ -24,8 +39,16 @@ export class RealTimeVoiceProcessor {
             onConnected: () => {},
             onDisconnected: () => {},
             onSpeechDetected: () => {},
+            onSpeechEnded: () => {},
             onProcessing: () => {},
+            onPartialTranscript: () => {},
+            onFinalTranscript: () => {},
+            onResponseDelta: () => {},
+            onAudio: () => {},
             onResponse: () => {},
+            onTurnMetrics: () => {},
+            onTurnCancelled: () => {},
+            onSessionLimit: () => {},
             onError: () => {}
         };
     }
@@ -39,16 +62,19 @@ export class RealTimeVoiceProcessor {
 
             this.setupSocketListeners();
 
-            // Initialize audio context
+            // Initialize audio context at the device rate; many browsers ignore a requested sampleRate
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: this.audioConfig.sampleRate,
                 latencyHint: 'interactive' // Optimize for low latency
             });
 
+            // Offer Opus when WebCodecs can encode it; it is roughly a tenth of the PCM bandwidth
+            if (await this.canEncodeOpus()) {
+                this.audioConfig.encodings = ['opus', 'pcm_s16le'];
+            }
+
             // Request microphone access
             const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
-                    sampleRate: this.audioConfig.sampleRate,
                     channelCount: this.audioConfig.channels,
                     echoCancellation: true,
                     noiseSuppression: true,
@@ -59,21 +85,20 @@ export class RealTimeVoiceProcessor {
 
             this.microphone = this.audioContext.createMediaStreamSource(stream);
 
-            // Create processor for real-time audio processing
-            this.processor = this.audioContext.createScriptProcessor(
-                this.audioConfig.bufferSize,
-                this.audioConfig.channels,
-                this.audioConfig.channels
-            );
-
-            this.processor.onaudioprocess = (event) => {
-                if (this.isRecording && this.socket && this.socket.connected) {
-                    const inputBuffer = event.inputBuffer.getChannelData(0);
-
-                    // Convert to 16-bit PCM and send in real-time
-                    const pcmData = this.convertTo16BitPCM(inputBuffer);
-                    this.socket.emit('audio-chunk', pcmData);
+            // Resample and packetize in an AudioWorklet, off the main thread
+            await this.audioContext.audioWorklet.addModule(new URL('./pcm-capture-worklet.js', import.meta.url));
+            this.processor = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                processorOptions: {
+                    targetSampleRate: this.audioConfig.sampleRate,
+                    frameMs: this.audioConfig.frameMs
                 }
+            });
+
+            // Each message is one 20 ms packet of 16 kHz mono Int16 PCM
+            this.processor.port.onmessage = (event) => {
+                this.sendFrame(event.data);
             };
 
             console.log('Real-time voice processor initialized');
@@ -90,6 +115,12 @@ export class RealTimeVoiceProcessor {
         this.socket.on('connect', () => {
             console.log('Connected to voice server');
             this.isConnected = true;
+
+            // Socket.IO reconnected mid-session: reattach to the server-side session
+            if (this.isRecording && this.sessionId) {
+                this.sendSessionHandshake();
+            }
+
             this.callbacks.onConnected();
         });
 
@@ -102,11 +133,29 @@ export class RealTimeVoiceProcessor {
         this.socket.on('voice-session-started', (data) => {
             console.log('Voice session started:', data);
             this.sessionId = data.sessionId;
+            this.resumeToken = data.resumeToken;
+            this.conversationId = data.conversationId || this.conversationId;
+            this.configureEncoder(data.codec);
         });
 
-        this.socket.on('speech-detected', () => {
+        // The server would not resume our session; forget it and negotiate a new one
+        this.socket.on('voice-session-rejected', (data) => {
+            console.warn('Voice session rejected:', data.message);
+            this.sessionId = null;
+            this.resumeToken = null;
+            if (this.isRecording) {
+                this.sendSessionHandshake();
+            }
+        });
+
+        this.socket.on('speech-started', (data) => {
             console.log('Speech detected');
-            this.callbacks.onSpeechDetected();
+            this.callbacks.onSpeechDetected(data);
+        });
+
+        this.socket.on('speech-ended', (data) => {
+            console.log('Speech ended:', data);
+            this.callbacks.onSpeechEnded(data);
         });
 
         this.socket.on('processing-audio', () => {
@@ -114,6 +163,44 @@ export class RealTimeVoiceProcessor {
             this.callbacks.onProcessing();
         });
 
+        this.socket.on('transcript-partial', (data) => {
+            this.callbacks.onPartialTranscript(data);
+        });
+
+        this.socket.on('transcript-final', (data) => {
+            console.log('Final transcript:', data.text);
+            this.callbacks.onFinalTranscript(data);
+        });
+
+        this.socket.on('agent-text-delta', (data) => {
+            this.callbacks.onResponseDelta(data);
+        });
+
+        this.socket.on('agent-audio', (data) => {
+            this.callbacks.onAudio(data);
+        });
+
+        this.socket.on('turn-metrics', (data) => {
+            console.log('Turn latency (ms):', data.latency);
+            this.callbacks.onTurnMetrics(data);
+        });
+
+        this.socket.on('turn-cancelled', (data) => {
+            console.log('Turn cancelled:', data);
+            this.callbacks.onTurnCancelled(data);
+        });
+
+        // The server dropped audio or closed the session to protect its resources
+        this.socket.on('session-limit', (data) => {
+            console.warn('Voice session limit:', data);
+            if (data.closed) {
+                this.stopCapture();
+                this.sessionId = null;
+                this.resumeToken = null;
+            }
+            this.callbacks.onSessionLimit(data);
+        });
+
         this.socket.on('agent-response', (data) => {
             console.log('Agent response received:', data);
             this.conversationId = data.conversationId;
@@ -126,52 +213,145 @@ export class RealTimeVoiceProcessor {
         });
     }
 
-    async startVoiceSession(conversationId = null) {
+    async startVoiceSession(conversationId = null, vadConfig = {}) {
         if (!this.socket || !this.socket.connected) {
             throw new Error('Not connected to voice server');
         }
 
-        this.socket.emit('start-voice-session', {
-            sessionId: this.sessionId,
-            conversationId: conversationId || this.conversationId
-        });
+        this.sessionOptions = {
+            conversationId: conversationId || this.conversationId,
+            vad: { ...this.vadConfig, ...vadConfig }
+        };
+        this.sendSessionHandshake();
+
+        // Autoplay policies can leave the context suspended until a user gesture
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
 
         // Start recording and processing
         this.isRecording = true;
 
-        // Connect audio processing chain
+        // Connect audio processing chain (the worklet is a sink, nothing reaches the speakers)
         this.microphone.connect(this.processor);
-        this.processor.connect(this.audioContext.destination);
 
         console.log('Voice session started');
     }
 
+    // Handshake: declare exactly what audio-chunk will contain. A known sessionId and
+    // resumeToken let the server reattach this socket to a session that survived a disconnect.
+    sendSessionHandshake() {
+        // Frames are held back until voice-session-started tells us which codec was chosen
+        this.codec = null;
+        this.socket.emit('start-voice-session', {
+            ...this.sessionOptions,
+            sessionId: this.sessionId,
+            resumeToken: this.resumeToken,
+            audioFormat: { ...this.audioConfig }
+        });
+    }
+
+    // Ask the server to stop work on a turn the user talked over
+    bargeIn(turnId, spokenText) {
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('barge-in', { turnId, spokenText });
+        }
+    }
+
     stopVoiceSession() {
+        this.stopCapture();
+
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('end-voice-session');
+        }
+
+        // An ended session is never resumed; the next start negotiates a new one
+        this.sessionId = null;
+        this.resumeToken = null;
+
+        console.log('Voice session stopped');
+    }
+
+    stopCapture() {
         this.isRecording = false;
+        this.closeEncoder();
 
         if (this.processor && this.microphone) {
             this.microphone.disconnect();
-            this.processor.disconnect();
         }
+    }
 
-        if (this.socket && this.socket.connected) {
-            this.socket.emit('end-voice-session');
+    async canEncodeOpus() {
+        if (typeof AudioEncoder === 'undefined') return false;
+
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported(this.getOpusConfig());
+            return supported;
+        } catch (error) {
+            return false;
         }
+    }
 
-        console.log('Voice session stopped');
+    getOpusConfig() {
+        return {
+            codec: 'opus',
+            sampleRate: this.audioConfig.sampleRate,
+            numberOfChannels: this.audioConfig.channels,
+            bitrate: this.opusBitrate,
+            opus: { frameDuration: this.audioConfig.frameMs * 1000 }
+        };
     }
 
-    convertTo16BitPCM(float32Array) {
-        const buffer = new ArrayBuffer(float32Array.length * 2);
-        const view = new DataView(buffer);
-        let offset = 0;
+    configureEncoder(codec = 'pcm_s16le') {
+        this.closeEncoder();
+        this.codec = codec;
 
-        for (let i = 0; i < float32Array.length; i++, offset += 2) {
-            const s = Math.max(-1, Math.min(1, float32Array[i]));
-            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+        if (codec !== 'opus') return;
+
+        this.encodedTimestamp = 0;
+        this.encoder = new AudioEncoder({
+            // One raw Opus packet per audio-chunk; the server decodes it back to PCM
+            output: (chunk) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                if (this.isRecording && this.socket && this.socket.connected) {
+                    this.socket.emit('audio-chunk', packet.buffer);
+                }
+            },
+            error: (error) => {
+                console.error('Opus encoder error:', error);
+                this.callbacks.onError(error);
+            }
+        });
+        this.encoder.configure(this.getOpusConfig());
+    }
+
+    closeEncoder() {
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
         }
+        this.encoder = null;
+    }
 
-        return buffer;
+    sendFrame(pcmFrame) {
+        if (!this.isRecording || !this.codec || !this.socket || !this.socket.connected) return;
+
+        if (!this.encoder) {
+            this.socket.emit('audio-chunk', pcmFrame);
+            return;
+        }
+
+        const frame = new AudioData({
+            format: 's16',
+            sampleRate: this.audioConfig.sampleRate,
+            numberOfFrames: pcmFrame.byteLength / 2,
+            numberOfChannels: this.audioConfig.channels,
+            timestamp: this.encodedTimestamp,
+            data: pcmFrame
+        });
+        this.encodedTimestamp += this.audioConfig.frameMs * 1000;
+        this.encoder.encode(frame);
+        frame.close();
     }
 
     // Voice Activity Detection helpers
@@ -187,8 +367,16 @@ export class RealTimeVoiceProcessor {
     onConnected(callback) { this.callbacks.onConnected = callback; }
     onDisconnected(callback) { this.callbacks.onDisconnected = callback; }
     onSpeechDetected(callback) { this.callbacks.onSpeechDetected = callback; }
+    onSpeechEnded(callback) { this.callbacks.onSpeechEnded = callback; }
     onProcessing(callback) { this.callbacks.onProcessing = callback; }
+    onPartialTranscript(callback) { this.callbacks.onPartialTranscript = callback; }
+    onFinalTranscript(callback) { this.callbacks.onFinalTranscript = callback; }
+    onResponseDelta(callback) { this.callbacks.onResponseDelta = callback; }
+    onAudio(callback) { this.callbacks.onAudio = callback; }
     onResponse(callback) { this.callbacks.onResponse = callback; }
+    onTurnMetrics(callback) { this.callbacks.onTurnMetrics = callback; }
+    onTurnCancelled(callback) { this.callbacks.onTurnCancelled = callback; }
+    onSessionLimit(callback) { this.callbacks.onSessionLimit = callback; }
     onError(callback) { this.callbacks.onError = callback; }
 
     // Cleanup
@@ -211,6 +399,7 @@ export class LowLatencyAudioPlayer {
         this.audioContext = null;
         this.gainNode = null;
         this.volume = 0.8;
+        this.current = null;
     }
 
     async initialize() {
@@ -223,6 +412,11 @@ export class LowLatencyAudioPlayer {
         this.gainNode.gain.value = this.volume;
     }
 
+    get isPlaying() {
+        return this.current !== null;
+    }
+
+    // Resolves with { interrupted, fraction } once playback ends or is cut off
     async playAudioUrl(audioUrl) {
         try {
             if (!this.audioContext) {
@@ -233,12 +427,29 @@ export class LowLatencyAudioPlayer {
             const audioData = await response.arrayBuffer();
             const audioBuffer = await this.audioContext.decodeAudioData(audioData);
 
+            // Each source gets its own fade stage in front of the shared volume
             const source = this.audioContext.createBufferSource();
+            const fade = this.audioContext.createGain();
             source.buffer = audioBuffer;
-            source.connect(this.gainNode);
+            source.connect(fade);
+            fade.connect(this.gainNode);
 
             return new Promise((resolve) => {
-                source.onended = resolve;
+                this.current = {
+                    source,
+                    fade,
+                    resolve,
+                    startedAt: this.audioContext.currentTime,
+                    duration: audioBuffer.duration
+                };
+
+                source.onended = () => {
+                    fade.disconnect();
+                    if (this.current && this.current.source === source) {
+                        this.current = null;
+                        resolve({ interrupted: false, fraction: 1 });
+                    }
+                };
                 source.start(0);
             });
 
@@ -248,6 +459,35 @@ export class LowLatencyAudioPlayer {
         }
     }
 
+    // Ramp the source's own gain down and stop it for barge-in; a sentence that starts
+    // during the fade plays at full volume
+    fadeOutAndStop(durationMs = 200) {
+        const current = this.current;
+        if (!current) {
+            return Promise.resolve(null);
+        }
+
+        this.current = null;
+
+        const now = this.audioContext.currentTime;
+        const fadeEnd = now + durationMs / 1000;
+        const fraction = Math.min(1, (now - current.startedAt) / current.duration);
+
+        current.fade.gain.setValueAtTime(current.fade.gain.value, now);
+        current.fade.gain.linearRampToValueAtTime(0, fadeEnd);
+
+        return new Promise((resolve) => {
+            current.source.onended = () => {
+                current.fade.disconnect();
+
+                const result = { interrupted: true, fraction };
+                current.resolve(result);
+                resolve(result);
+            };
+            current.source.stop(fadeEnd);
+        });
+    }
+
     setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
         if (this.gainNode) {
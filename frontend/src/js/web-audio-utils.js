@@ -159,20 +159,27 @@ export class AudioPlayer {
     constructor() {
         this.audio = null;
         this.isPlaying = false;
+        this.volume = 1;
+        this.resolvePlayback = null;
     }
 
+    // Resolves with { interrupted, fraction } once playback ends or is cut off
     async playFromUrl(audioUrl) {
         return new Promise((resolve, reject) => {
             this.audio = new Audio(audioUrl);
+            this.audio.volume = this.volume;
             this.isPlaying = true;
+            this.resolvePlayback = resolve;
 
             this.audio.onended = () => {
                 this.isPlaying = false;
-                resolve();
+                this.resolvePlayback = null;
+                resolve({ interrupted: false, fraction: 1 });
             };
 
             this.audio.onerror = (error) => {
                 this.isPlaying = false;
+                this.resolvePlayback = null;
                 reject(error);
             };
 
@@ -197,9 +204,44 @@ export class AudioPlayer {
         }
     }
 
+    // Fade out for barge-in; the pending playFromUrl() resolves as interrupted
+    fadeOutAndStop(durationMs = 200) {
+        if (!this.audio || !this.isPlaying) {
+            return Promise.resolve(null);
+        }
+
+        const audio = this.audio;
+        const resolvePlayback = this.resolvePlayback;
+        const fraction = audio.duration ? audio.currentTime / audio.duration : 0;
+        const startVolume = audio.volume;
+        const steps = 10;
+
+        this.isPlaying = false;
+        this.resolvePlayback = null;
+        audio.onended = null;
+
+        return new Promise((resolve) => {
+            let step = 0;
+            const timer = setInterval(() => {
+                step++;
+                audio.volume = Math.max(0, startVolume * (1 - step / steps));
+
+                if (step >= steps) {
+                    clearInterval(timer);
+                    audio.pause();
+
+                    const result = { interrupted: true, fraction };
+                    if (resolvePlayback) resolvePlayback(result);
+                    resolve(result);
+                }
+            }, durationMs / steps);
+        });
+    }
+
     setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
         if (this.audio) {
-            this.audio.volume = Math.max(0, Math.min(1, volume));
+            this.audio.volume = this.volume;
         }
     }
 }